@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+export const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  EDITED: 'edited',
+  REJECTED: 'rejected'
+};
+
+// Edited messages were rewritten by a reviewer, so they count as approved
+const SENDABLE_STATUSES = [MESSAGE_STATUS.APPROVED, MESSAGE_STATUS.EDITED];
+
+export function createMessageId() {
+  return `msg_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export function isApproved(messageData) {
+  return SENDABLE_STATUSES.includes(messageData?.status);
+}
+
+export function getStatus(messageData) {
+  return messageData?.status || MESSAGE_STATUS.PENDING;
+}
+
+export class ApprovalQueue {
+  constructor(filename) {
+    this.filename = filename;
+    this.messages = [];
+    this.container = null;
+  }
+
+  async load() {
+    const raw = await fs.readFile(this.filename, 'utf8');
+    const data = JSON.parse(raw);
+    // lead_generation_results_*.json wraps the messages with metadata
+    this.container = Array.isArray(data) ? null : data;
+    this.messages = Array.isArray(data) ? data : data.messages || [];
+
+    // Messages generated before the approval queue existed have no id/status
+    let migrated = false;
+    this.messages.forEach(messageData => {
+      if (!messageData.id) {
+        messageData.id = createMessageId();
+        migrated = true;
+      }
+      if (!messageData.status) {
+        messageData.status = MESSAGE_STATUS.PENDING;
+        migrated = true;
+      }
+    });
+
+    if (migrated) {
+      await this.save();
+    }
+
+    return this;
+  }
+
+  async save() {
+    const data = this.container ? { ...this.container, messages: this.messages } : this.messages;
+    const tmpFile = `${this.filename}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, this.filename);
+  }
+
+  list(status = null) {
+    if (!status || status === 'all') {
+      return this.messages;
+    }
+    return this.messages.filter(messageData => getStatus(messageData) === status);
+  }
+
+  find(id) {
+    const messageData = this.messages.find(m => m.id === id);
+    if (!messageData) {
+      throw new Error(`Message ${id} not found in ${this.filename}`);
+    }
+    return messageData;
+  }
+
+  resolveIds(ids, { all = false } = {}) {
+    if (all) {
+      return this.list(MESSAGE_STATUS.PENDING).map(m => m.id);
+    }
+    return ids;
+  }
+
+  approve(ids, options = {}) {
+    return this.resolveIds(ids, options).map(id => {
+      const messageData = this.find(id);
+      // Keep the "edited" marker so it's clear the text was changed by hand
+      if (messageData.status !== MESSAGE_STATUS.EDITED) {
+        messageData.status = MESSAGE_STATUS.APPROVED;
+      }
+      messageData.reviewedAt = new Date().toISOString();
+      delete messageData.rejectionReason;
+      return messageData;
+    });
+  }
+
+  reject(ids, reason = null, options = {}) {
+    return this.resolveIds(ids, options).map(id => {
+      const messageData = this.find(id);
+      messageData.status = MESSAGE_STATUS.REJECTED;
+      messageData.reviewedAt = new Date().toISOString();
+      if (reason) {
+        messageData.rejectionReason = reason;
+      }
+      return messageData;
+    });
+  }
+
+  edit(id, newMessage) {
+    if (!newMessage || !newMessage.trim()) {
+      throw new Error('Edited message cannot be empty');
+    }
+
+    const messageData = this.find(id);
+    if (!messageData.originalMessage) {
+      messageData.originalMessage = messageData.message;
+    }
+    messageData.message = newMessage.trim();
+    messageData.messageLength = messageData.message.length;
+    messageData.status = MESSAGE_STATUS.EDITED;
+    messageData.reviewedAt = new Date().toISOString();
+    return messageData;
+  }
+
+  getCounts() {
+    const counts = {
+      [MESSAGE_STATUS.PENDING]: 0,
+      [MESSAGE_STATUS.APPROVED]: 0,
+      [MESSAGE_STATUS.EDITED]: 0,
+      [MESSAGE_STATUS.REJECTED]: 0
+    };
+
+    this.messages.forEach(messageData => {
+      counts[getStatus(messageData)]++;
+    });
+
+    return counts;
+  }
+}
+
+export default ApprovalQueue;
@@ -0,0 +1,33 @@
+import { DEFAULT_COUNTRY, isMobilePhone, isMobileType } from './phoneNumber.js';
+
+export const CHANNEL = {
+  WHATSAPP: 'whatsapp',
+  EMAIL: 'email'
+};
+
+// Uses the classification stored at scrape time when there is one; otherwise national
+// numbers are read as numbers of `country`
+export function hasMobilePhone(business = {}, country = DEFAULT_COUNTRY) {
+  if (!business.phone) return false;
+  return business.phoneType ? isMobileType(business.phoneType) : isMobilePhone(business.phone, business.phoneCountry || country);
+}
+
+// WhatsApp for mobiles, email otherwise; null if the lead cannot be reached
+// (landlines and toll-free numbers are never on WhatsApp, nor are mobiles the
+// registration check found missing)
+export function chooseChannel(business = {}, enabledChannels = [CHANNEL.WHATSAPP], country = DEFAULT_COUNTRY) {
+  const onWhatsApp = hasMobilePhone(business, country) && business.whatsappRegistered !== false;
+  if (enabledChannels.includes(CHANNEL.WHATSAPP) && onWhatsApp) {
+    return CHANNEL.WHATSAPP;
+  }
+  if (enabledChannels.includes(CHANNEL.EMAIL) && business.email) {
+    return CHANNEL.EMAIL;
+  }
+  return null;
+}
+
+export function getChannel(messageData = {}) {
+  return messageData.channel || CHANNEL.WHATSAPP;
+}
+
+export default chooseChannel;
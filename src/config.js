@@ -3,6 +3,8 @@ import path from 'path';
 
 dotenv.config();
 
+const optOutLanguages = process.env.OPT_OUT_LANGUAGES?.split(',') || ['es', 'en'];
+
 export const config = {
   // API Keys
   googlePlacesApiKey: process.env.GOOGLE_PLACES_API_KEY,
@@ -23,6 +25,10 @@ export const config = {
     timeout: parseInt(process.env.SCRAPING_TIMEOUT) || 30000,
     persistentCache: process.env.PERSISTENT_CACHE !== 'false', // Enable by default
     userDataDir: process.env.USER_DATA_DIR, // Optional custom cache directory
+    detailConcurrency: parseInt(process.env.SCRAPING_DETAIL_CONCURRENCY) || 1, // Place pages read in parallel (Playwright)
+    detailRetries: parseInt(process.env.SCRAPING_DETAIL_RETRIES || '2'),
+    fixtures: process.env.SCRAPER_FIXTURES === 'replay', // Scrape saved pages instead of Google Maps
+    fixturesDir: process.env.SCRAPER_FIXTURES_DIR || './fixtures/maps',
     viewport: {
       width: parseInt(process.env.VIEWPORT_WIDTH) || 1366,
       height: parseInt(process.env.VIEWPORT_HEIGHT) || 768
@@ -42,10 +48,130 @@ export const config = {
   whatsapp: {
     messageDelay: parseInt(process.env.MESSAGE_DELAY) || 5000,
     maxMessagesPerHour: parseInt(process.env.MAX_MESSAGES_PER_HOUR) || 50,
+    maxMessagesPerDay: parseInt(process.env.MAX_MESSAGES_PER_DAY) || 200,
     batchSize: parseInt(process.env.WHATSAPP_BATCH_SIZE) || 10,
     delayBetweenBatches: parseInt(process.env.DELAY_BETWEEN_BATCHES) || 30000
   },
 
+  // Ramp-up for new sender numbers: day 1 WARMUP_START messages, WARMUP_INCREMENT more each
+  // day after the account's first send, up to WARMUP_CAP (defaults to MAX_MESSAGES_PER_DAY)
+  warmUp: {
+    enabled: process.env.WARMUP_ENABLED === 'true',
+    start: parseInt(process.env.WARMUP_START) || 10,
+    increment: parseInt(process.env.WARMUP_INCREMENT) || 5,
+    cap: parseInt(process.env.WARMUP_CAP) || parseInt(process.env.MAX_MESSAGES_PER_DAY) || 200
+  },
+
+  // Optional pre-flight check that lead numbers are on WhatsApp, before paying for generation
+  registrationCheck: {
+    enabled: process.env.WHATSAPP_PRECHECK === 'true',
+    ttlDays: parseInt(process.env.WHATSAPP_PRECHECK_TTL_DAYS) || 30,
+    delay: parseInt(process.env.WHATSAPP_PRECHECK_DELAY) || 1000 // Between lookups, to look less like a bot
+  },
+
+  // Message transport: 'whatsapp-web' (QR login), 'cloud-api' or 'fake' (file-backed, for offline runs and tests)
+  transport: {
+    type: process.env.MESSAGE_TRANSPORT || 'whatsapp-web',
+    fake: {
+      path: process.env.FAKE_TRANSPORT_PATH || './data/fake_transport.json',
+      unregisteredNumbers: process.env.FAKE_UNREGISTERED_NUMBERS?.split(',') || [],
+      autoAck: process.env.FAKE_AUTO_ACK !== 'false'
+    },
+    // 'cloud-api': WhatsApp Business Platform; point WHATSAPP_CLOUD_API_URL at a mock server to test
+    cloudApi: {
+      baseUrl: process.env.WHATSAPP_CLOUD_API_URL || 'https://graph.facebook.com/v19.0',
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      templateName: process.env.WHATSAPP_TEMPLATE_NAME,
+      templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'es',
+      // Message fields passed as the template's {{1}}, {{2}}... (businessName, personalizedContent, message, yourName)
+      templateParams: process.env.WHATSAPP_TEMPLATE_PARAMS?.split(',') || ['businessName', 'personalizedContent'],
+      templateDefaults: { yourName: process.env.YOUR_NAME },
+      webhookPort: parseInt(process.env.WHATSAPP_WEBHOOK_PORT || '3000'),
+      webhookPath: process.env.WHATSAPP_WEBHOOK_PATH || '/webhook',
+      verifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN,
+      appSecret: process.env.WHATSAPP_APP_SECRET // Checks X-Hub-Signature-256; required by the webhook
+    }
+  },
+
+  // Phone numbers: national numbers are read as numbers of this country (ISO code, e.g. ES);
+  // by default the country of the search location
+  phone: {
+    country: process.env.PHONE_COUNTRY
+  },
+
+  // Outreach channels; each lead gets WhatsApp if it has a mobile number, email otherwise
+  channels: {
+    enabled: process.env.CHANNELS?.split(',').map(channel => channel.trim()) || ['whatsapp']
+  },
+
+  // Email channel: plain SMTP, so a local catcher (e.g. MailHog on :1025) works for tests
+  email: {
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    },
+    from: process.env.EMAIL_FROM,
+    replyTo: process.env.EMAIL_REPLY_TO,
+    // Shown in the footer and the List-Unsubscribe header; one of them is required, and
+    // requests that reach it have to be added to the ledger by hand (`dnc add`)
+    unsubscribeEmail: process.env.EMAIL_UNSUBSCRIBE_ADDRESS,
+    unsubscribeUrl: process.env.EMAIL_UNSUBSCRIBE_URL,
+    messageDelay: parseInt(process.env.EMAIL_DELAY) || 2000,
+    // Rolling limits of their own, so email does not use up the WhatsApp allowance
+    maxPerHour: parseInt(process.env.EMAIL_MAX_PER_HOUR) || 50,
+    maxPerDay: parseInt(process.env.EMAIL_MAX_PER_DAY) || 200,
+    findOnWebsite: process.env.EMAIL_FIND_ON_WEBSITE !== 'false' // Look for an address on the lead's website
+  },
+
+  // Durable outbox: retries with exponential backoff for transient send errors
+  outbox: {
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5,
+    retryBaseDelay: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY) || 60000,
+    retryMaxDelay: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY) || 3600000,
+    maxInlineRetryWait: parseInt(process.env.OUTBOX_INLINE_RETRY_WAIT) || 120000 // Longer backoffs wait for `send --resume`
+  },
+
+  // Sending windows, in the lead's local time; no restriction unless configured
+  sendingWindow: {
+    // e.g. "mon-fri 10:00-13:00,16:30-19:00; sat 11:00-13:00", or "always"
+    windows: process.env.SENDING_WINDOWS || 'always',
+    timezone: process.env.SENDING_TIMEZONE || 'Europe/Madrid', // Used when the lead has no UTC offset
+    avoidPeakHours: process.env.AVOID_PEAK_HOURS === 'true',
+    peakHours: {
+      restaurant: process.env.PEAK_HOURS_RESTAURANT || '13:00-16:00,20:00-23:30'
+    },
+    maxWaitMinutes: parseInt(process.env.SENDING_WINDOW_MAX_WAIT) || 15 // Longer waits defer the message to a later run
+  },
+
+  // Opt-out detection on incoming WhatsApp replies
+  optOut: {
+    languages: optOutLanguages,
+    // Per-language overrides, e.g. OPT_OUT_KEYWORDS_ES=baja,no me interesa
+    keywords: Object.fromEntries(optOutLanguages.map(language => [
+      language,
+      process.env[`OPT_OUT_KEYWORDS_${language.toUpperCase()}`]?.split(',')
+    ])),
+    sendConfirmation: process.env.OPT_OUT_SEND_CONFIRMATION === 'true',
+    confirmationMessage: process.env.OPT_OUT_CONFIRMATION_MESSAGE || 'Entendido, no volveremos a escribirle. Disculpe las molestias.'
+  },
+
+  // Operator alerts when a lead replies over WhatsApp
+  notifications: {
+    terminal: process.env.NOTIFY_TERMINAL !== 'false',
+    webhookUrl: process.env.NOTIFY_WEBHOOK_URL || null,
+    operatorNumber: process.env.NOTIFY_WHATSAPP_NUMBER || null // Gets a summary of each reply
+  },
+
+  // Follow-up sequence for leads that do not reply: "<days after the first message>:<template>,..."
+  // ("none" disables it). The first message uses DEFAULT_TEMPLATE
+  campaign: {
+    name: process.env.CAMPAIGN_NAME || 'default',
+    followUps: process.env.FOLLOWUP_STEPS || '3:followup_1,7:followup_2'
+  },
+
   // Message Template Configuration
   messageTemplate: {
     yourName: process.env.YOUR_NAME || '[TU_NOMBRE]',
@@ -53,6 +179,11 @@ export const config = {
     customTemplate: process.env.MESSAGE_TEMPLATE
   },
 
+  // Lead Store (persistent lead database shared across runs)
+  leadStore: {
+    enrichmentTtlDays: parseInt(process.env.ENRICHMENT_TTL_DAYS) || 30
+  },
+
   // Rate Limiting
   rateLimiting: {
     requestsPerMinute: parseInt(process.env.REQUESTS_PER_MINUTE) || 10,
@@ -64,10 +195,15 @@ export const config = {
     data: process.env.DATA_PATH || './data',
     logs: process.env.LOGS_PATH || './logs',
     output: process.env.OUTPUT_PATH || './output',
-    leads: process.env.LEADS_PATH || './data/leads.json',
+    leads: process.env.LEADS_PATH || './data/leads.json', // Persistent lead store
     enrichedLeads: process.env.ENRICHED_LEADS_PATH || './data/enriched_leads.json',
     messages: process.env.MESSAGES_PATH || './data/messages.json',
-    messageLog: process.env.MESSAGE_LOG_PATH || './logs/whatsapp_messages.json'
+    messageLog: process.env.MESSAGE_LOG_PATH || './logs/messages.jsonl', // Append-only, one JSON event per line
+    contactLedger: process.env.CONTACT_LEDGER_PATH || './data/contact_ledger.json',
+    sendQuota: process.env.SEND_QUOTA_PATH || './data/send_quota.json',
+    emailSendQuota: process.env.EMAIL_SEND_QUOTA_PATH || './data/email_send_quota.json',
+    outbox: process.env.OUTBOX_PATH || './data/outbox.json',
+    warmUp: process.env.WARMUP_PATH || './data/warm_up.json'
   },
 
   // Business Type Mapping
@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import { DEFAULT_COUNTRY, normalizePhone } from './phoneNumber.js';
+
+export const LEDGER_REASON = {
+  CONTACTED: 'contacted',
+  SUPPRESSED: 'suppressed',
+  OPTED_OUT: 'opted_out'
+};
+
+// Accepted CSV headers for each field (compared lowercased, without accents)
+const CSV_COLUMNS = {
+  phone: ['phone', 'phonenumber', 'phone_number', 'telefono', 'movil', 'whatsapp'],
+  placeId: ['placeid', 'place_id', 'google_place_id'],
+  name: ['name', 'nombre', 'business', 'negocio', 'businessname'],
+  email: ['email', 'e-mail', 'mail', 'correo', 'correo electronico'],
+  reason: ['reason', 'motivo']
+};
+
+export function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+function normalizeHeader(header) {
+  return header.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+export class ContactLedger {
+  constructor(filename, options = {}) {
+    this.filename = filename;
+    // Country of national numbers (CSV imports, `dnc add`); keys are international numbers
+    this.phoneCountry = options.phoneCountry || DEFAULT_COUNTRY;
+    this.phones = {};
+    this.places = {};
+    this.emails = {};
+    this.dirty = false;
+    this.pendingSave = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filename, 'utf8');
+      const data = JSON.parse(raw);
+      this.phones = data.phones || {};
+      this.places = data.places || {};
+      this.emails = data.emails || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read contact ledger ${this.filename}: ${error.message}`);
+      }
+    }
+    return this;
+  }
+
+  // Transport events (acks, replies) can trigger a save while another is still writing
+  save() {
+    const write = this.pendingSave.then(() => this.writeToDisk());
+    this.pendingSave = write.catch(() => {});
+    return write;
+  }
+
+  async writeToDisk() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    const data = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      phones: this.phones,
+      places: this.places,
+      emails: this.emails
+    };
+
+    // Changes made while writing mark the store dirty again
+    this.dirty = false;
+
+    try {
+      const tmpFile = `${this.filename}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+      await fs.rename(tmpFile, this.filename);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  // Returns the blocking entry for a phone / place / email, or null if contact is allowed.
+  // Follow-ups pass allowContacted: only suppressions and opt-outs block them
+  check({ phone, placeId, email } = {}, { allowContacted = false } = {}) {
+    const normalizedPhone = normalizePhone(phone, this.phoneCountry);
+    const normalizedEmail = normalizeEmail(email);
+    const entries = [
+      normalizedPhone && this.phones[normalizedPhone],
+      placeId && this.places[placeId],
+      normalizedEmail && this.emails[normalizedEmail]
+    ].filter(Boolean);
+
+    return entries.find(entry => !allowContacted || entry.reason !== LEDGER_REASON.CONTACTED) || null;
+  }
+
+  checkBusiness(business = {}, options = {}) {
+    return this.check({
+      phone: business.phone,
+      email: business.email,
+      // Scraped placeId is just the URL slug; only the Places API id identifies a place
+      placeId: business.enriched ? business.placeId : null
+    }, options);
+  }
+
+  add({ phone, placeId, email, reason, source = null, businessName = null, leadId = null }) {
+    const normalizedPhone = normalizePhone(phone, this.phoneCountry);
+    const normalizedEmail = normalizeEmail(email);
+    if (!normalizedPhone && !placeId && !normalizedEmail) {
+      return null;
+    }
+
+    const entry = {
+      reason,
+      source,
+      businessName,
+      leadId,
+      phone: normalizedPhone || null,
+      placeId: placeId || null,
+      email: normalizedEmail || null,
+      addedAt: new Date().toISOString()
+    };
+
+    // A suppression is never downgraded to a plain "contacted" record
+    const canWrite = existing => !existing || existing.reason === LEDGER_REASON.CONTACTED || reason !== LEDGER_REASON.CONTACTED;
+
+    if (normalizedPhone && canWrite(this.phones[normalizedPhone])) {
+      this.phones[normalizedPhone] = { ...this.phones[normalizedPhone], ...entry };
+    }
+    if (placeId && canWrite(this.places[placeId])) {
+      this.places[placeId] = { ...this.places[placeId], ...entry };
+    }
+    if (normalizedEmail && canWrite(this.emails[normalizedEmail])) {
+      this.emails[normalizedEmail] = { ...this.emails[normalizedEmail], ...entry };
+    }
+
+    this.dirty = true;
+    return entry;
+  }
+
+  recordContact(details) {
+    return this.add({ ...details, reason: LEDGER_REASON.CONTACTED });
+  }
+
+  suppress(details) {
+    return this.add({ ...details, reason: details.reason || LEDGER_REASON.SUPPRESSED });
+  }
+
+  markOptOutConfirmed(phone) {
+    const entry = this.phones[normalizePhone(phone, this.phoneCountry)];
+    if (entry) {
+      entry.optOutConfirmationSentAt = new Date().toISOString();
+      this.dirty = true;
+    }
+  }
+
+  async importCsv(filename, { reason = LEDGER_REASON.SUPPRESSED, source = null } = {}) {
+    const rows = await new Promise((resolve, reject) => {
+      const results = [];
+      createReadStream(filename)
+        .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+        .on('data', row => results.push(row))
+        .on('end', () => resolve(results))
+        .on('error', reject);
+    });
+
+    const pick = (row, field) => {
+      const column = CSV_COLUMNS[field].find(name => row[name]);
+      return column ? row[column].trim() : null;
+    };
+
+    let imported = 0;
+    let skipped = 0;
+
+    rows.forEach(row => {
+      const entry = this.add({
+        phone: pick(row, 'phone'),
+        placeId: pick(row, 'placeId'),
+        email: pick(row, 'email'),
+        businessName: pick(row, 'name'),
+        reason: pick(row, 'reason') || reason,
+        source: source || path.basename(filename)
+      });
+
+      if (entry) {
+        imported++;
+      } else {
+        skipped++;
+      }
+    });
+
+    return { imported, skipped, total: rows.length };
+  }
+
+  list(reason = null) {
+    const entries = [...Object.values(this.phones), ...Object.values(this.places), ...Object.values(this.emails)];
+
+    // An entry with several identifiers is stored under each key
+    const unique = entries.filter((entry, index) =>
+      entries.findIndex(other => other.phone === entry.phone && other.placeId === entry.placeId && (other.email || null) === (entry.email || null)) === index
+    );
+
+    return reason ? unique.filter(entry => entry.reason === reason) : unique;
+  }
+
+  getStats() {
+    const byReason = {};
+    this.list().forEach(entry => {
+      byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+    });
+
+    return {
+      phones: Object.keys(this.phones).length,
+      places: Object.keys(this.places).length,
+      emails: Object.keys(this.emails).length,
+      byReason
+    };
+  }
+}
+
+export default ContactLedger;
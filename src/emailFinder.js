@@ -0,0 +1,79 @@
+import axios from 'axios';
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// Addresses that show up on websites but never reach the business
+const IGNORED_EMAIL_PATTERNS = [
+  /\.(png|jpe?g|gif|svg|webp)$/i,
+  /@(example|sentry|wixpress|domain)\./i,
+  /^(noreply|no-reply|donotreply)@/i
+];
+
+// Pages that usually carry the contact address
+const CONTACT_PATHS = ['', '/contacto', '/contact'];
+
+// Looks up a contact email on the business website (mailto links and plain text)
+export class EmailFinder {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+  }
+
+  async findEmail(website) {
+    if (!website) return null;
+
+    let baseUrl;
+    try {
+      baseUrl = new URL(website.startsWith('http') ? website : `https://${website}`);
+    } catch (error) {
+      return null;
+    }
+
+    for (const contactPath of CONTACT_PATHS) {
+      const html = await this.fetchPage(new URL(contactPath, baseUrl).toString());
+      const email = html && this.pickEmail(this.extractEmails(html), baseUrl.hostname);
+      if (email) return email;
+    }
+
+    return null;
+  }
+
+  async fetchPage(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        maxContentLength: 2 * 1024 * 1024,
+        headers: { 'User-Agent': this.userAgent },
+        responseType: 'text'
+      });
+      return typeof response.data === 'string' ? response.data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  extractEmails(html) {
+    // mailto: links may be URL-encoded
+    const decoded = html.replace(/mailto:([^"'?>\s]+)/gi, (match, address) => {
+      try {
+        return `mailto:${decodeURIComponent(address)}`;
+      } catch (error) {
+        return match;
+      }
+    });
+
+    const emails = (decoded.match(EMAIL_PATTERN) || [])
+      .map(email => email.toLowerCase())
+      .filter(email => !IGNORED_EMAIL_PATTERNS.some(pattern => pattern.test(email)));
+
+    return [...new Set(emails)];
+  }
+
+  // Prefer an address on the website's own domain
+  pickEmail(emails, hostname) {
+    const domain = hostname.replace(/^www\./, '').toLowerCase();
+    return emails.find(email => email.endsWith(`@${domain}`)) || emails[0] || null;
+  }
+}
+
+export default EmailFinder;
@@ -0,0 +1,342 @@
+import delay from 'delay';
+import nodemailer from 'nodemailer';
+import { isApproved } from './approvalQueue.js';
+import { CHANNEL } from './channels.js';
+import { formatEmailBodies } from './messageTemplate.js';
+import { normalizeEmail } from './contactLedger.js';
+import { LOG_TYPE } from './messageLog.js';
+import { SendQuota } from './sendQuota.js';
+import { OUTBOX_STATUS, isFinal } from './outbox.js';
+
+// Outreach over SMTP. Results have the same shape as WhatsAppSender's, plus the email address;
+// sends go through the same outbox, sending windows and (a separate) rolling quota
+export class EmailSender {
+  constructor(options = {}) {
+    this.smtp = options.smtp || { host: 'localhost', port: 1025 };
+    this.from = options.from;
+    this.replyTo = options.replyTo || null;
+    this.unsubscribeEmail = options.unsubscribeEmail || null;
+    this.unsubscribeUrl = options.unsubscribeUrl || null;
+    this.messageDelay = options.messageDelay ?? 2000;
+    this.contactLedger = options.contactLedger || null;
+    this.followUpScheduler = options.followUpScheduler || null;
+    this.transporter = null;
+    this.isReady = false;
+    this.messagesSent = 0;
+    this.messageLog = options.messageLog || null; // Shared append-only MessageLog
+    this.logEntries = 0;
+    this.sendQuota = options.sendQuota || new SendQuota(null, { maxPerHour: 50, maxPerDay: 200 });
+    this.sendingWindow = options.sendingWindow || null;
+    this.maxWindowWait = options.maxWindowWait ?? 15 * 60 * 1000;
+    this.outbox = options.outbox || null;
+    this.maxRetryWait = options.maxRetryWait ?? 2 * 60 * 1000;
+  }
+
+  async initialize() {
+    if (!this.from) {
+      throw new Error('Email channel needs EMAIL_FROM');
+    }
+    // Nothing reads replies, so recipients need a way to opt out that someone acts on
+    if (!this.unsubscribeUrl && !this.unsubscribeEmail) {
+      throw new Error('Email channel needs EMAIL_UNSUBSCRIBE_URL or EMAIL_UNSUBSCRIBE_ADDRESS');
+    }
+
+    this.transporter = nodemailer.createTransport(this.smtp);
+    await this.transporter.verify();
+    this.isReady = true;
+    console.log(`SMTP transport ready (${this.smtp.host}:${this.smtp.port})`);
+  }
+
+  getUnsubscribeFooter() {
+    if (this.unsubscribeUrl) {
+      return `Si no desea recibir más correos, puede darse de baja aquí: ${this.unsubscribeUrl}`;
+    }
+    return `Si no desea recibir más correos, escriba a ${this.unsubscribeEmail} y le daremos de baja.`;
+  }
+
+  getListUnsubscribe() {
+    const targets = [];
+    if (this.unsubscribeUrl) {
+      targets.push({ url: this.unsubscribeUrl });
+    }
+    if (this.unsubscribeEmail) {
+      targets.push({ url: `mailto:${this.unsubscribeEmail}?subject=BAJA` });
+    }
+    return targets.length > 0 ? { unsubscribe: targets } : undefined;
+  }
+
+  // quotaSlot: taken by deliver() before it marked the outbox entry as sending
+  async sendEmail(messageData, { runId = null, quotaSlot = null } = {}) {
+    if (!this.isReady) {
+      throw new Error('SMTP transport is not ready');
+    }
+
+    const email = normalizeEmail(messageData.email);
+    const business = messageData.business || {};
+    const placeId = business.enriched ? business.placeId : null;
+
+    if (!email) {
+      if (quotaSlot) await this.sendQuota.release(quotaSlot);
+      return this.result(messageData, { success: false, permanent: true, error: 'No email address' });
+    }
+
+    // Last check against the do-not-contact ledger right before sending
+    const blocked = this.contactLedger?.check(
+      { email, phone: messageData.phoneNumber, placeId },
+      { allowContacted: Boolean(messageData.followUp) }
+    );
+    if (blocked) {
+      console.log(`Skipping ${email}: in do-not-contact ledger (${blocked.reason})`);
+      if (quotaSlot) await this.sendQuota.release(quotaSlot);
+      return this.result(messageData, { success: false, skipped: true, suppressed: true, error: `Do-not-contact: ${blocked.reason}` });
+    }
+
+    const stopReason = this.followUpScheduler?.getFollowUpStopReason(messageData);
+    if (stopReason) {
+      console.log(`Skipping follow-up to ${email}: sequence stopped (${stopReason})`);
+      if (quotaSlot) await this.sendQuota.release(quotaSlot);
+      return this.result(messageData, { success: false, skipped: true, error: `Follow-up stopped: ${stopReason}` });
+    }
+
+    let sent = false;
+
+    try {
+      // Bodies are rendered at send time so reviewer edits and the footer always match
+      const { text, html } = formatEmailBodies(messageData.message, this.getUnsubscribeFooter());
+
+      quotaSlot ||= await this.sendQuota.acquire();
+      const info = await this.transporter.sendMail({
+        from: this.from,
+        to: email,
+        replyTo: this.replyTo || undefined,
+        subject: messageData.subject,
+        text,
+        html,
+        list: this.getListUnsubscribe()
+      });
+      sent = true;
+
+      this.messagesSent++;
+      await this.logMessage(LOG_TYPE.SENT, email, messageData, { transportMessageId: info.messageId, runId });
+
+      if (this.contactLedger) {
+        this.contactLedger.recordContact({
+          email,
+          phone: messageData.phoneNumber,
+          placeId,
+          leadId: messageData.leadId,
+          businessName: messageData.businessName,
+          source: 'email'
+        });
+        await this.contactLedger.save();
+      }
+
+      console.log(`Email sent to ${email}: ${messageData.subject}`);
+      await delay(this.messageDelay);
+
+      return this.result(messageData, { success: true, transportMessageId: info.messageId });
+
+    } catch (error) {
+      if (quotaSlot && !sent) {
+        await this.sendQuota.release(quotaSlot);
+      }
+
+      await this.logMessage(LOG_TYPE.ERROR, email, messageData, { error: error.message, runId });
+      console.error(`Failed to send email to ${email}:`, error.message);
+
+      // 5xx SMTP replies (unknown mailbox, rejected sender) will not succeed on retry
+      return this.result(messageData, {
+        success: false,
+        permanent: error.responseCode >= 500,
+        error: error.message
+      });
+    }
+  }
+
+  async sendBulkMessages(messages, options = {}) {
+    const results = [];
+    console.log(`Starting bulk email send: ${messages.length} emails`);
+
+    for (const messageData of messages) {
+      let result;
+      if (!isApproved(messageData)) {
+        console.log(`Refusing to send unapproved email to ${messageData.email} (status: ${messageData.status || 'pending'})`);
+        result = this.result(messageData, {
+          success: false,
+          skipped: true,
+          error: `Message not approved (status: ${messageData.status || 'pending'})`
+        });
+      } else {
+        result = await this.deliver(messageData, { runId: options.runId });
+      }
+
+      const entry = { ...result, businessName: messageData.businessName, originalData: messageData };
+      results.push(entry);
+
+      if (options.onResult) {
+        await options.onResult(entry);
+      }
+    }
+
+    return results;
+  }
+
+  // Same outbox flow as WhatsAppSender.deliver: idempotent, retried with backoff and resumable
+  // with `send --resume`
+  async deliver(messageData, { runId = null } = {}) {
+    if (!this.outbox) {
+      return await this.waitForSendingWindow(messageData) || await this.sendEmail(messageData, { runId });
+    }
+
+    const entry = this.outbox.enqueue(messageData, { runId });
+    await this.outbox.save();
+
+    // SMTP leaves no trace we can check, so an interrupted send is never repeated blindly
+    if (entry.status === OUTBOX_STATUS.SENDING) {
+      console.log(`Delivery of ${entry.key} is unknown after an interrupted send, not retrying`);
+      return this.result(messageData, {
+        success: false,
+        skipped: true,
+        uncertain: true,
+        attempts: entry.attempts,
+        error: 'Interrupted send with unknown outcome; check the sent folder before retrying'
+      });
+    }
+
+    if (entry.status === OUTBOX_STATUS.SENT) {
+      console.log(`Already sent ${entry.key}, skipping`);
+      return this.result(messageData, { success: true, alreadySent: true, attempts: entry.attempts, timestamp: entry.sentAt });
+    }
+
+    if (isFinal(entry)) {
+      return this.result(messageData, { success: false, skipped: true, attempts: entry.attempts, error: entry.lastError });
+    }
+
+    if (!this.outbox.isDue(entry)) {
+      return this.result(messageData, { success: false, deferred: true, nextAttemptAt: entry.nextRetryAt, error: entry.lastError });
+    }
+
+    const windowResult = await this.waitForSendingWindow(messageData);
+    if (windowResult) {
+      return windowResult;
+    }
+
+    while (true) {
+      let result;
+      try {
+        // The quota may pause for hours: stopping the process then must leave the entry queued,
+        // since an entry left sending is never retried
+        const quotaSlot = await this.sendQuota.acquire();
+
+        this.outbox.markSending(entry.key);
+        await this.outbox.save();
+        result = await this.sendEmail(messageData, { runId, quotaSlot });
+      } catch (error) {
+        // e.g. the SMTP connection was closed mid-batch
+        result = this.result(messageData, { success: false, error: error.message });
+      }
+
+      if (result.success) {
+        this.outbox.markSent(entry.key, { timestamp: result.timestamp, transportMessageId: result.transportMessageId });
+        await this.outbox.save();
+        return result;
+      }
+
+      if (result.skipped) {
+        this.outbox.cancel(entry.key, result.error);
+        await this.outbox.save();
+        return result;
+      }
+
+      this.outbox.markFailed(entry.key, result.error, { permanent: result.permanent });
+      await this.outbox.save();
+
+      if (entry.status === OUTBOX_STATUS.FAILED) {
+        return { ...result, attempts: entry.attempts };
+      }
+
+      const wait = new Date(entry.nextRetryAt).getTime() - Date.now();
+      if (wait > this.maxRetryWait) {
+        console.log(`Retry ${entry.attempts}/${this.outbox.maxAttempts} for ${entry.key} scheduled at ${entry.nextRetryAt}`);
+        return { ...result, deferred: true, attempts: entry.attempts, nextAttemptAt: entry.nextRetryAt };
+      }
+
+      console.log(`Retrying ${entry.key} in ${Math.ceil(wait / 1000)}s (attempt ${entry.attempts + 1}/${this.outbox.maxAttempts})...`);
+      await delay(Math.max(0, wait));
+    }
+  }
+
+  // Returns a deferred result when the lead is outside its sending window for too long
+  async waitForSendingWindow(messageData) {
+    if (!this.sendingWindow) return null;
+
+    const now = new Date();
+    const nextSlot = this.sendingWindow.getNextAllowedTime(now, messageData.business);
+    const wait = nextSlot ? nextSlot.getTime() - now.getTime() : Infinity;
+
+    if (wait <= 0) return null;
+
+    if (wait <= this.maxWindowWait) {
+      console.log(`Outside sending window for ${messageData.email}. Waiting ${Math.ceil(wait / 60000)} min...`);
+      await delay(wait);
+      return null;
+    }
+
+    console.log(`Outside sending window for ${messageData.email}, deferred until ${nextSlot ? nextSlot.toISOString() : 'no allowed slot'}`);
+    return this.result(messageData, {
+      success: false,
+      deferred: true,
+      nextAttemptAt: nextSlot ? nextSlot.toISOString() : null,
+      error: 'Outside sending window'
+    });
+  }
+
+  result(messageData, fields) {
+    return {
+      channel: CHANNEL.EMAIL,
+      email: normalizeEmail(messageData.email),
+      phoneNumber: messageData.phoneNumber,
+      timestamp: new Date().toISOString(),
+      ...fields
+    };
+  }
+
+  async logMessage(type, email, messageData, details = {}) {
+    this.logEntries++;
+    if (!this.messageLog) return;
+
+    try {
+      await this.messageLog.append({
+        type,
+        channel: CHANNEL.EMAIL,
+        email,
+        phoneNumber: messageData.phoneNumber || undefined,
+        subject: messageData.subject,
+        body: messageData.message,
+        leadId: messageData.leadId,
+        businessName: messageData.businessName,
+        ...Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null))
+      });
+    } catch (error) {
+      console.error(`Could not write to message log: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      totalMessagesSent: this.messagesSent,
+      isReady: this.isReady,
+      logEntries: this.logEntries
+    };
+  }
+
+  async close() {
+    if (this.transporter) {
+      this.transporter.close();
+      this.transporter = null;
+    }
+    this.isReady = false;
+  }
+}
+
+export default EmailSender;
@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+import delay from 'delay';
+
+// A lock left behind by a process that died while holding it
+const STALE_LOCK_MS = 30 * 1000;
+
+// Runs fn while holding <filename>.lock, so a load-modify-save of a file shared by several
+// processes cannot interleave with another process doing the same
+export async function withFileLock(filename, fn, { retryDelay = 50 } = {}) {
+  const lockFile = `${filename}.lock`;
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+
+  while (true) {
+    try {
+      await (await fs.open(lockFile, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.rm(lockFile, { force: true });
+        continue;
+      }
+      await delay(retryDelay);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockFile, { force: true });
+  }
+}
+
+export default withFileLock;
@@ -0,0 +1,152 @@
+import { MESSAGE_STATUS, createMessageId } from './approvalQueue.js';
+import { LEAD_STATUS } from './leadStore.js';
+import { CHANNEL } from './channels.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "3:followup_1,7:followup_2" -> steps sent 3 and 7 days after the first message
+export function parseFollowUpSteps(spec) {
+  if (!spec || spec.trim() === 'none') return [];
+
+  return spec.split(',')
+    .map(part => {
+      const [days, template] = part.split(':').map(value => value.trim());
+      const parsedDays = parseFloat(days);
+      if (!Number.isFinite(parsedDays) || parsedDays <= 0 || !template) {
+        throw new Error(`Invalid follow-up step "${part}" (expected <days>:<template>)`);
+      }
+      return { days: parsedDays, template };
+    })
+    .sort((a, b) => a.days - b.days)
+    .map((step, index) => ({ step: index + 1, ...step }));
+}
+
+// Works out, from the send history in the lead store, which leads are due their next
+// follow-up. A sequence stops for good on any reply or opt-out
+export class FollowUpScheduler {
+  constructor(options = {}) {
+    this.steps = options.steps || [];
+    this.campaign = options.campaign || 'default';
+    this.leadStore = options.leadStore;
+    this.contactLedger = options.contactLedger || null;
+    this.messageTemplate = options.messageTemplate;
+  }
+
+  getInitialSend(lead) {
+    return lead.sends.find(send => send.success && !send.followUpStep) || null;
+  }
+
+  hasReplied(lead, since) {
+    return this.leadStore.getConversation(lead).some(entry => entry.direction === 'in' && entry.at >= since);
+  }
+
+  // A step counts as handled once a message exists for it, whatever the review decided
+  isStepHandled(lead, step) {
+    return lead.messages.some(message => message.followUp?.step === step);
+  }
+
+  isStepSent(lead, step) {
+    return lead.sends.some(send => send.success && send.followUpStep === step);
+  }
+
+  isStepRejected(lead, step) {
+    return lead.messages.some(message => message.followUp?.step === step && message.status === MESSAGE_STATUS.REJECTED);
+  }
+
+  getStopReason(lead, initialSend) {
+    if (lead.status === LEAD_STATUS.OPTED_OUT) return 'opted_out';
+    if (this.hasReplied(lead, initialSend.timestamp)) return 'replied';
+
+    const blocked = this.contactLedger?.checkBusiness({
+      ...lead.business,
+      phone: initialSend.phoneNumber || lead.business.phone,
+      email: initialSend.email || lead.business.email
+    }, { allowContacted: true });
+    return blocked ? blocked.reason : null;
+  }
+
+  // Why a queued follow-up must not go out any more, or null. Follow-ups wait in review and in
+  // the outbox for days, so the senders ask again right before sending
+  getFollowUpStopReason(messageData) {
+    const lead = messageData.followUp && this.leadStore.getLead(messageData.leadId);
+    if (!lead) return null;
+
+    const initialSend = lead.sends.find(send => send.success && send.messageId === messageData.followUp.initialMessageId)
+      || this.getInitialSend(lead);
+    return initialSend ? this.getStopReason(lead, initialSend) : null;
+  }
+
+  // { lead, step, dueAt, initialSend } for the next step of a lead, or null if its sequence is over
+  getNextFollowUp(lead) {
+    const initialSend = this.getInitialSend(lead);
+    if (!initialSend || this.getStopReason(lead, initialSend)) {
+      return null;
+    }
+
+    const next = this.steps.find(step => !this.isStepHandled(lead, step.step));
+    if (!next) return null;
+
+    // Steps go out in order: wait until the previous one was sent (or rejected)
+    const previous = this.steps.find(step => step.step === next.step - 1);
+    if (previous && !this.isStepSent(lead, previous.step) && !this.isStepRejected(lead, previous.step)) {
+      return null;
+    }
+
+    const dueAt = new Date(new Date(initialSend.timestamp).getTime() + next.days * DAY_MS);
+    return { lead, step: next, dueAt, initialSend };
+  }
+
+  // Due follow-ups first, then the upcoming ones by date
+  getSchedule(now = new Date()) {
+    const scheduled = Object.values(this.leadStore.leads)
+      .map(lead => this.getNextFollowUp(lead))
+      .filter(Boolean)
+      .sort((a, b) => a.dueAt - b.dueAt);
+
+    return {
+      due: scheduled.filter(item => item.dueAt <= now),
+      upcoming: scheduled.filter(item => item.dueAt > now)
+    };
+  }
+
+  // Pending messages for the normal review and send path, on the channel of the first message
+  createMessages(dueFollowUps) {
+    return dueFollowUps.map(({ lead, step, initialSend }) => {
+      const business = lead.business;
+      const channel = initialSend.channel || CHANNEL.WHATSAPP;
+      const initialMessage = lead.messages.find(message => message.id === initialSend.messageId);
+
+      const generated = channel === CHANNEL.EMAIL
+        ? this.messageTemplate.generateEmail(business, '', step.template)
+        : this.messageTemplate.generateMessage(business, '', step.template);
+
+      return {
+        id: createMessageId(),
+        status: MESSAGE_STATUS.PENDING,
+        leadId: lead.id,
+        businessName: business.name,
+        channel,
+        phoneNumber: business.phone || initialSend.phoneNumber,
+        ...(channel === CHANNEL.EMAIL && {
+          email: initialSend.email || business.email,
+          // Keep the thread: reply to the first email's subject
+          subject: initialMessage?.subject ? `Re: ${initialMessage.subject}` : generated.subject
+        }),
+        message: generated.message,
+        templateUsed: generated.templateUsed,
+        messageLength: generated.length,
+        followUp: {
+          campaign: this.campaign,
+          step: step.step,
+          days: step.days,
+          initialMessageId: initialSend.messageId
+        },
+        business,
+        contentData: null,
+        generatedAt: new Date().toISOString()
+      };
+    });
+  }
+}
+
+export default FollowUpScheduler;
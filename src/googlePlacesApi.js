@@ -53,7 +53,7 @@ export class GooglePlacesAPI {
       const response = await axios.get(`${this.baseUrl}/details/json`, {
         params: {
           place_id: placeId,
-          fields: 'name,formatted_address,formatted_phone_number,website,rating,user_ratings_total,reviews,types,opening_hours,price_level',
+          fields: 'name,formatted_address,formatted_phone_number,website,rating,user_ratings_total,reviews,types,opening_hours,price_level,utc_offset,business_status,geometry,plus_code',
           key: this.apiKey
         }
       });
@@ -139,8 +139,14 @@ export class GooglePlacesAPI {
         placeId,
         googlePlaceDetails: {
           types: details.types || [],
-          openingHours: details.opening_hours?.weekday_text || [],
+          // Places has no hours for some listings that show them on Maps
+          openingHours: details.opening_hours?.weekday_text || business.openingHours || [],
+          utcOffsetMinutes: details.utc_offset,
           priceLevel: details.price_level,
+          businessStatus: details.business_status || business.status,
+          latitude: details.geometry?.location?.lat ?? business.latitude,
+          longitude: details.geometry?.location?.lng ?? business.longitude,
+          plusCode: details.plus_code?.global_code || business.plusCode,
           website: details.website || business.website,
           phone: details.formatted_phone_number || business.phone,
           totalReviews: details.user_ratings_total || business.reviewCount,
@@ -0,0 +1,522 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_COUNTRY, normalizePhone } from './phoneNumber.js';
+import { CHANNEL } from './channels.js';
+
+// Lead statuses; the pipeline ones are ordered and a lead never moves backwards automatically
+export const LEAD_STATUS = {
+  SCRAPED: 'scraped',
+  ENRICHED: 'enriched',
+  MESSAGE_GENERATED: 'message_generated',
+  APPROVED: 'approved',
+  CONTACTED: 'contacted',
+  REPLIED: 'replied',
+  OPTED_OUT: 'opted_out'
+};
+
+// Delivery state of a sent message, from the transport's acks; only ever moves forward
+export const DELIVERY_STATUS = {
+  ERROR: 'error',
+  PENDING: 'pending',
+  SERVER: 'server',
+  DELIVERED: 'delivered',
+  READ: 'read'
+};
+
+const DELIVERY_ORDER = [
+  DELIVERY_STATUS.PENDING,
+  DELIVERY_STATUS.SERVER,
+  DELIVERY_STATUS.DELIVERED,
+  DELIVERY_STATUS.READ
+];
+
+const STATUS_ORDER = [
+  LEAD_STATUS.SCRAPED,
+  LEAD_STATUS.ENRICHED,
+  LEAD_STATUS.MESSAGE_GENERATED,
+  LEAD_STATUS.APPROVED,
+  LEAD_STATUS.CONTACTED,
+  LEAD_STATUS.REPLIED
+];
+
+function normalizeText(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Google Maps feature id (e.g. 0x0d42287d...:0x5c2c...) is stable across searches
+function extractMapsFeatureId(url) {
+  const match = (url || '').match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Every identity a business can be recognised by, strongest first
+export function getBusinessIdentities(business = {}, country = DEFAULT_COUNTRY) {
+  const identities = [];
+
+  // Scraped placeId is just the URL slug; only the Places API id is stable
+  if (business.enriched && business.placeId) {
+    identities.push(`place:${business.placeId}`);
+  }
+
+  const featureId = extractMapsFeatureId(business.googleMapsUrl);
+  if (featureId) {
+    identities.push(`maps:${featureId}`);
+  }
+
+  const phone = normalizePhone(business.phone, country);
+  if (phone) {
+    identities.push(`phone:${phone}`);
+  }
+
+  if (business.name) {
+    identities.push(`name:${normalizeText(business.name)}|${normalizeText(business.address)}`);
+  }
+
+  return identities;
+}
+
+export class LeadStore {
+  constructor(filename, options = {}) {
+    this.filename = filename;
+    // Country of national numbers (e.g. from --input files)
+    this.phoneCountry = options.phoneCountry || DEFAULT_COUNTRY;
+    this.leads = {};
+    this.identityIndex = {};
+    this.sendIndex = {};
+    // Acks that arrive before the send is recorded, keyed by transport message id
+    this.unmatchedAcks = {};
+    this.dirty = false;
+    this.pendingSave = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filename, 'utf8');
+      const data = JSON.parse(raw);
+      this.leads = data.leads || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read lead store ${this.filename}: ${error.message}`);
+      }
+      this.leads = {};
+    }
+
+    this.rebuildIndex();
+    return this;
+  }
+
+  // Transport events (acks, replies) can trigger a save while another is still writing
+  save() {
+    const write = this.pendingSave.then(() => this.writeToDisk());
+    this.pendingSave = write.catch(() => {});
+    return write;
+  }
+
+  async writeToDisk() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    const data = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      leads: this.leads
+    };
+
+    // Changes made while writing mark the store dirty again
+    this.dirty = false;
+
+    try {
+      const tmpFile = `${this.filename}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+      await fs.rename(tmpFile, this.filename);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  rebuildIndex() {
+    this.identityIndex = {};
+    this.sendIndex = {};
+    Object.values(this.leads).forEach(lead => {
+      lead.identities.forEach(identity => {
+        this.identityIndex[identity] = lead.id;
+      });
+      lead.sends.forEach(send => {
+        if (send.transportMessageId) {
+          this.sendIndex[send.transportMessageId] = lead.id;
+        }
+      });
+    });
+  }
+
+  getLead(leadId) {
+    return this.leads[leadId] || null;
+  }
+
+  findLead(business) {
+    if (business?.leadId && this.leads[business.leadId]) {
+      return this.leads[business.leadId];
+    }
+
+    for (const identity of getBusinessIdentities(business, this.phoneCountry)) {
+      const leadId = this.identityIndex[identity];
+      if (leadId) return this.leads[leadId];
+    }
+
+    return null;
+  }
+
+  findByPhone(phoneNumber) {
+    const leadId = this.identityIndex[`phone:${normalizePhone(phoneNumber, this.phoneCountry)}`];
+    return leadId ? this.leads[leadId] : null;
+  }
+
+  upsertBusiness(business, { runId = null, event = 'scraped' } = {}) {
+    const identities = getBusinessIdentities(business, this.phoneCountry);
+    if (identities.length === 0) {
+      throw new Error('Cannot store a business without name or phone');
+    }
+
+    const now = new Date().toISOString();
+    let lead = this.findLead(business);
+
+    if (!lead) {
+      const leadId = `lead_${crypto.createHash('sha1').update(identities[0]).digest('hex').substring(0, 12)}`;
+      lead = {
+        id: leadId,
+        identities: [],
+        status: LEAD_STATUS.SCRAPED,
+        createdAt: now,
+        updatedAt: now,
+        runs: [],
+        business: {},
+        messages: [],
+        sends: [],
+        conversation: [],
+        messageLog: [],
+        history: []
+      };
+      this.leads[leadId] = lead;
+    }
+
+    identities.forEach(identity => {
+      if (!lead.identities.includes(identity)) {
+        lead.identities.push(identity);
+      }
+      this.identityIndex[identity] = lead.id;
+    });
+
+    // Newer data wins, but never blank out fields we already know
+    const { leadId, ...businessData } = business;
+    Object.entries(businessData).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        lead.business[key] = value;
+      }
+    });
+
+    if (runId && !lead.runs.includes(runId)) {
+      lead.runs.push(runId);
+    }
+
+    if (business.enriched) {
+      this.advanceStatus(lead, LEAD_STATUS.ENRICHED);
+    }
+
+    this.addHistory(lead, event, runId);
+    return lead;
+  }
+
+  recordMessage(messageData, { runId = null } = {}) {
+    const lead = this.findLead({ ...messageData.business, leadId: messageData.leadId })
+      || this.upsertBusiness(messageData.business || { name: messageData.businessName, phone: messageData.phoneNumber }, { runId });
+
+    // Store the message without the duplicated business payload
+    const { business, contentData, ...message } = messageData;
+    const entry = { ...message, runId, personalizedContent: contentData?.personalizedContent };
+
+    if (message.channel) {
+      lead.preferredChannel = message.channel;
+    }
+
+    const index = lead.messages.findIndex(existing => existing.id === message.id);
+    if (index >= 0) {
+      lead.messages[index] = { ...lead.messages[index], ...entry };
+    } else {
+      lead.messages.push(entry);
+      this.advanceStatus(lead, LEAD_STATUS.MESSAGE_GENERATED);
+    }
+
+    if (message.status === 'approved' || message.status === 'edited') {
+      this.advanceStatus(lead, LEAD_STATUS.APPROVED);
+    }
+
+    this.addHistory(lead, `message_${message.status || 'generated'}`, runId, { messageId: message.id });
+    return lead;
+  }
+
+  recordSend(result, { runId = null } = {}) {
+    const messageData = result.originalData || {};
+    const lead = this.findLead({ ...messageData.business, leadId: messageData.leadId })
+      || this.findByPhone(result.phoneNumber);
+
+    if (!lead) return null;
+
+    const send = {
+      runId,
+      messageId: messageData.id,
+      ...(messageData.followUp && { followUpStep: messageData.followUp.step }),
+      channel: result.channel || CHANNEL.WHATSAPP,
+      ...(result.email && { email: result.email }),
+      success: result.success,
+      skipped: result.skipped || false,
+      phoneNumber: result.phoneNumber,
+      error: result.error,
+      timestamp: result.timestamp
+    };
+
+    if (result.success && result.transportMessageId) {
+      Object.assign(send, {
+        transportMessageId: result.transportMessageId,
+        delivery: DELIVERY_STATUS.PENDING,
+        acks: []
+      });
+      this.sendIndex[result.transportMessageId] = lead.id;
+    }
+
+    lead.sends.push(send);
+
+    // Apply acks that raced ahead of this record
+    const earlyAcks = this.unmatchedAcks[result.transportMessageId];
+    if (earlyAcks) {
+      delete this.unmatchedAcks[result.transportMessageId];
+      earlyAcks.forEach(({ status, at }) => this.applyAck(send, status, at));
+    }
+
+    if (result.success) {
+      this.advanceStatus(lead, LEAD_STATUS.CONTACTED);
+      lead.lastContactedAt = result.timestamp;
+      this.getConversation(lead).push({
+        direction: 'out',
+        body: messageData.message,
+        at: result.timestamp,
+        messageId: messageData.id
+      });
+    }
+
+    this.addHistory(lead, result.success ? 'sent' : 'send_failed', runId, { messageId: messageData.id, error: result.error });
+    return lead;
+  }
+
+  // Cached result of the pre-flight WhatsApp registration check
+  recordWhatsAppCheck(lead, { phone, registered, transport = null, at = new Date().toISOString() }) {
+    lead.whatsappCheck = { phone: normalizePhone(phone, this.phoneCountry), registered, transport, checkedAt: at };
+    this.addHistory(lead, registered ? 'whatsapp_registered' : 'whatsapp_not_registered');
+    return lead.whatsappCheck;
+  }
+
+  // The cached check, unless it is older than maxAgeMs or was for another number
+  getWhatsAppCheck(lead, { phone, maxAgeMs }) {
+    const check = lead?.whatsappCheck;
+    if (!check || check.phone !== normalizePhone(phone, this.phoneCountry)) {
+      return null;
+    }
+
+    const ageMs = Date.now() - new Date(check.checkedAt).getTime();
+    return ageMs < maxAgeMs ? check : null;
+  }
+
+  recordAck(transportMessageId, status, { at = new Date().toISOString() } = {}) {
+    const lead = this.leads[this.sendIndex[transportMessageId]];
+    const send = lead?.sends.find(entry => entry.transportMessageId === transportMessageId);
+
+    if (!send) {
+      (this.unmatchedAcks[transportMessageId] ||= []).push({ status, at });
+      return null;
+    }
+
+    if (this.applyAck(send, status, at)) {
+      lead.updatedAt = at;
+      this.dirty = true;
+    }
+    return lead;
+  }
+
+  applyAck(send, status, at) {
+    const current = DELIVERY_ORDER.indexOf(send.delivery);
+    const next = DELIVERY_ORDER.indexOf(status);
+
+    // Out-of-order or repeated acks never move a message backwards
+    if (status !== DELIVERY_STATUS.ERROR && next <= current) {
+      return false;
+    }
+
+    send.delivery = status;
+    (send.acks ||= []).push({ status, at });
+
+    if (status === DELIVERY_STATUS.DELIVERED) {
+      send.deliveredAt = at;
+    }
+    if (status === DELIVERY_STATUS.READ) {
+      send.deliveredAt ||= at;
+      send.readAt = at;
+    }
+    return true;
+  }
+
+  // Delivered / read / replied rates for successful sends, optionally for one run
+  // Acks only exist for WhatsApp, so rates are per channel
+  getDeliveryStats({ runId = null, channel = CHANNEL.WHATSAPP } = {}) {
+    const stats = { sent: 0, delivered: 0, read: 0, replied: 0, failed: 0 };
+
+    Object.values(this.leads).forEach(lead => {
+      lead.sends
+        .filter(send => send.success && (!runId || send.runId === runId) && (send.channel || CHANNEL.WHATSAPP) === channel)
+        .forEach(send => {
+          stats.sent++;
+          if (send.delivery === DELIVERY_STATUS.ERROR) stats.failed++;
+          if (send.deliveredAt) stats.delivered++;
+          if (send.readAt) stats.read++;
+
+          const replied = this.getConversation(lead).some(entry => entry.direction === 'in' && entry.at >= send.timestamp);
+          if (replied) stats.replied++;
+        });
+    });
+
+    const rate = count => (stats.sent > 0 ? Math.round((count / stats.sent) * 1000) / 10 : 0);
+
+    return {
+      ...stats,
+      deliveryRate: rate(stats.delivered),
+      readRate: rate(stats.read),
+      replyRate: rate(stats.replied)
+    };
+  }
+
+  getConversation(lead) {
+    // Leads stored before conversations were tracked have no array yet
+    if (!lead.conversation) {
+      lead.conversation = [];
+    }
+    return lead.conversation;
+  }
+
+  recordInbound(phoneNumber, body, { timestamp = new Date().toISOString(), transportMessageId = null } = {}) {
+    const lead = this.findByPhone(phoneNumber);
+    if (!lead) return null;
+
+    this.getConversation(lead).push({
+      direction: 'in',
+      body,
+      at: timestamp,
+      transportMessageId,
+      read: false
+    });
+    lead.lastReplyAt = timestamp;
+
+    this.advanceStatus(lead, LEAD_STATUS.REPLIED);
+    this.addHistory(lead, 'reply_received');
+    return lead;
+  }
+
+  getUnreadReplies(lead) {
+    return this.getConversation(lead).filter(entry => entry.direction === 'in' && !entry.read);
+  }
+
+  getInbox({ unreadOnly = true } = {}) {
+    return Object.values(this.leads)
+      .filter(lead => this.getConversation(lead).some(entry => entry.direction === 'in'))
+      .filter(lead => !unreadOnly || this.getUnreadReplies(lead).length > 0)
+      .sort((a, b) => (b.lastReplyAt || '').localeCompare(a.lastReplyAt || ''));
+  }
+
+  markRead(lead) {
+    this.getUnreadReplies(lead).forEach(entry => {
+      entry.read = true;
+    });
+    this.dirty = true;
+  }
+
+  recordLogEntry(logEntry) {
+    const lead = this.findByPhone(logEntry.phoneNumber);
+    if (!lead) return null;
+
+    lead.messageLog.push(logEntry);
+    lead.updatedAt = new Date().toISOString();
+    this.dirty = true;
+    return lead;
+  }
+
+  advanceStatus(lead, status) {
+    // Statuses outside the pipeline order (e.g. opted_out) are final
+    if (!STATUS_ORDER.includes(lead.status)) return;
+
+    if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(lead.status)) {
+      lead.status = status;
+    }
+  }
+
+  setStatus(lead, status, { runId = null, reason = null } = {}) {
+    lead.status = status;
+    this.addHistory(lead, `status_${status}`, runId, reason ? { reason } : undefined);
+  }
+
+  addHistory(lead, event, runId = null, details = undefined) {
+    const now = new Date().toISOString();
+    lead.history.push({ at: now, event, runId, ...(details && { details }) });
+    lead.updatedAt = now;
+    this.dirty = true;
+  }
+
+  query(filters = {}) {
+    const search = normalizeText(filters.search);
+
+    let results = Object.values(this.leads).filter(lead => {
+      if (filters.status && lead.status !== filters.status) return false;
+      if (filters.runId && !lead.runs.includes(filters.runId)) return false;
+
+      const rating = lead.business.googlePlaceDetails?.currentRating || lead.business.rating || 0;
+      if (filters.minRating && rating < filters.minRating) return false;
+
+      if (filters.hasPhone && !lead.business.phone) return false;
+
+      if (search) {
+        const haystack = normalizeText(`${lead.business.name} ${lead.business.address}`);
+        if (!haystack.includes(search)) return false;
+      }
+
+      return true;
+    });
+
+    results.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    if (filters.limit) {
+      results = results.slice(0, filters.limit);
+    }
+
+    return results;
+  }
+
+  getStats() {
+    const byStatus = {};
+    Object.values(this.leads).forEach(lead => {
+      byStatus[lead.status] = (byStatus[lead.status] || 0) + 1;
+    });
+
+    return {
+      totalLeads: Object.keys(this.leads).length,
+      byStatus,
+      delivery: this.getDeliveryStats()
+    };
+  }
+}
+
+export default LeadStore;
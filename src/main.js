@@ -1,12 +1,44 @@
-import { GoogleMapsScraper } from './googleMapsScraper.js';
-import { PlaywrightGoogleMapsScraper } from './playwrightScraper.js';
+import { GoogleMapsScraper } from './scrapers/puppeteerScraper.js';
+import { PlaywrightGoogleMapsScraper } from './scrapers/playwrightScraper.js';
+import { FixtureStore, FIXTURE_MODE, compareResults } from './scrapers/fixtures.js';
 import { GooglePlacesAPI } from './googlePlacesApi.js';
 import { MessageGenerator } from './messageGenerator.js';
 import { WhatsAppSender } from './whatsappSender.js';
+import { EmailSender } from './emailSender.js';
+import { EmailFinder } from './emailFinder.js';
+import { WhatsAppWebTransport } from './transports/whatsappWebTransport.js';
+import { FakeTransport } from './transports/fakeTransport.js';
+import { CloudApiTransport } from './transports/cloudApiTransport.js';
 import { MessageTemplate } from './messageTemplate.js';
+import { ApprovalQueue, MESSAGE_STATUS, isApproved, getStatus } from './approvalQueue.js';
+import { RunCheckpoint, PIPELINE_STAGES } from './runCheckpoint.js';
+import { LeadStore } from './leadStore.js';
+import { ContactLedger } from './contactLedger.js';
+import { OptOutDetector } from './optOutDetector.js';
+import { SendQuota } from './sendQuota.js';
+import { WarmUpSchedule } from './warmUp.js';
+import { ReplyNotifier } from './replyNotifier.js';
+import { MessageLog, LOG_TYPE } from './messageLog.js';
+import { SendingWindow } from './sendingWindow.js';
+import { Outbox, OUTBOX_STATUS, createIdempotencyKey } from './outbox.js';
+import { CHANNEL, chooseChannel, getChannel, hasMobilePhone } from './channels.js';
+import { FollowUpScheduler, parseFollowUpSteps } from './followUpScheduler.js';
+import { classifyBusinessPhone, getCountryForLocation, PHONE_TYPE } from './phoneNumber.js';
 import { config, validateConfig } from './config.js';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
+
+// Stage whose output each subcommand consumes
+const STAGE_INPUTS = {
+  enrich: 'scrape',
+  verify: 'enrich',
+  generate: 'enrich',
+  send: 'generate'
+};
+
+// verify is optional: it only fills the WhatsApp registration cache in the lead store
+const STAGE_COMMANDS = ['scrape', 'enrich', 'verify', 'generate', 'send'];
 
 class LeadGenerationOrchestrator {
   constructor() {
@@ -14,7 +46,15 @@ class LeadGenerationOrchestrator {
     this.placesApi = null;
     this.messageGenerator = null;
     this.whatsappSender = null;
+    this.emailSender = null;
+    this.emailFinder = null;
     this.messageTemplate = null;
+    this.checkpoint = null;
+    this.leadStore = null;
+    this.contactLedger = null;
+    this.outbox = null;
+    this.phoneCountry = null;
+    this.messageLog = new MessageLog(config.paths.messageLog);
     this.stats = {
       businessesScraped: 0,
       businessesEnriched: 0,
@@ -36,26 +76,20 @@ class LeadGenerationOrchestrator {
     // Create directories
     await this.ensureDirectories();
 
-    // Initialize components
-    const scraperOptions = {
-      headless: config.scraping.headless,
-      viewport: config.scraping.viewport,
-      userAgent: config.scraping.userAgent,
-      maxResults: config.search.maxResults,
-      persistentCache: config.scraping.persistentCache,
-      userDataDir: config.scraping.userDataDir
-    };
+    await this.openLeadStore();
+    await this.openContactLedger();
 
-    if (config.scraping.browser === 'playwright') {
-      console.log('🎭 Using Playwright browser engine');
-      this.scraper = new PlaywrightGoogleMapsScraper(scraperOptions);
-    } else {
-      console.log('🐾 Using Puppeteer browser engine');
-      this.scraper = new GoogleMapsScraper(scraperOptions);
-    }
+    // Initialize components
+    this.scraper = this.createScraper({
+      fixtures: config.scraping.fixtures ? { mode: FIXTURE_MODE.REPLAY, dir: config.scraping.fixturesDir } : null
+    });
 
     this.placesApi = new GooglePlacesAPI(config.googlePlacesApiKey);
 
+    if (config.channels.enabled.includes(CHANNEL.EMAIL) && config.email.findOnWebsite) {
+      this.emailFinder = new EmailFinder({ userAgent: config.scraping.userAgent });
+    }
+
     this.messageGenerator = new MessageGenerator(config.openaiApiKey, {
       model: config.llm.model,
       maxTokens: config.llm.maxTokens,
@@ -70,11 +104,117 @@ class LeadGenerationOrchestrator {
     console.log('✅ Componentes inicializados correctamente');
   }
 
+  createScraper({ engine = config.scraping.browser, fixtures = null } = {}) {
+    const scraperOptions = {
+      headless: config.scraping.headless,
+      viewport: config.scraping.viewport,
+      userAgent: config.scraping.userAgent,
+      maxResults: config.search.maxResults,
+      timeout: config.scraping.timeout,
+      persistentCache: config.scraping.persistentCache,
+      userDataDir: config.scraping.userDataDir,
+      detailConcurrency: config.scraping.detailConcurrency,
+      detailRetries: config.scraping.detailRetries,
+      fixtures
+    };
+
+    if (fixtures?.mode === FIXTURE_MODE.REPLAY) {
+      console.log(`📼 Scraping de páginas guardadas en ${fixtures.dir} (sin conexión a Google Maps)`);
+    }
+
+    if (engine === 'playwright') {
+      console.log('🎭 Using Playwright browser engine');
+      return new PlaywrightGoogleMapsScraper(scraperOptions);
+    }
+
+    console.log('🐾 Using Puppeteer browser engine');
+    return new GoogleMapsScraper(scraperOptions);
+  }
+
+  async openLeadStore() {
+    if (!this.leadStore) {
+      this.leadStore = await new LeadStore(config.paths.leads, { phoneCountry: this.getPhoneCountry() }).load();
+      console.log(`🗂️  Base de leads: ${Object.keys(this.leadStore.leads).length} leads en ${config.paths.leads}`);
+    }
+    return this.leadStore;
+  }
+
+  async openContactLedger() {
+    if (!this.contactLedger) {
+      this.contactLedger = await new ContactLedger(config.paths.contactLedger, { phoneCountry: this.getPhoneCountry() }).load();
+    }
+    return this.contactLedger;
+  }
+
+  async openOutbox() {
+    if (!this.outbox) {
+      this.outbox = await new Outbox(config.paths.outbox, { ...config.outbox, phoneCountry: this.getPhoneCountry() }).load();
+    }
+    return this.outbox;
+  }
+
+  // Country of national phone numbers: PHONE_COUNTRY, or the country of the run's search location
+  getPhoneCountry(location = this.checkpoint?.options?.location || config.search.location) {
+    if (config.phone.country) return config.phone.country;
+
+    if (!this.phoneCountry || this.phoneCountry.location !== location) {
+      this.phoneCountry = { location, country: getCountryForLocation(location) };
+    }
+    return this.phoneCountry.country;
+  }
+
+  // Stores opened before the run was known read national numbers with the run's country too
+  applyPhoneCountry() {
+    const country = this.getPhoneCountry();
+    [this.leadStore, this.contactLedger, this.outbox, this.messageLog].filter(Boolean).forEach(store => {
+      store.phoneCountry = country;
+    });
+  }
+
+  async openCheckpoint(options = {}) {
+    if (options.resume === true) {
+      throw new Error('Indica la ejecución a reanudar: --resume <runId>');
+    }
+
+    if (options.resume) {
+      this.checkpoint = await RunCheckpoint.resume(config.paths.data, options.resume);
+      console.log(`♻️  Reanudando ejecución ${this.checkpoint.runId}`);
+      this.checkpoint.getSummary().forEach(({ stage, status, items }) => {
+        console.log(`    ${stage}: ${status} (${items} elementos)`);
+      });
+    } else {
+      const { resume, ...runOptions } = options;
+      this.checkpoint = await new RunCheckpoint(config.paths.data).create(runOptions);
+      console.log(`🆔 ID de ejecución: ${this.checkpoint.runId}`);
+    }
+
+    this.applyPhoneCountry();
+    return this.checkpoint;
+  }
+
   async runFullPipeline(options = {}) {
     this.stats.startTime = new Date();
     console.log(`\n📊 Iniciando pipeline completo - ${this.stats.startTime.toLocaleString()}`);
 
     try {
+      await this.openCheckpoint(options);
+
+      // Resumed runs keep the search options they were started with
+      if (options.resume) {
+        options = { ...this.checkpoint.options, sendMessages: options.sendMessages };
+      }
+
+      // A run resumed with --send-messages picks up a send stage skipped earlier
+      if (options.sendMessages) {
+        await this.checkpoint.reopenStage('send');
+      }
+
+      const firstUnfinished = this.checkpoint.getFirstUnfinishedStage();
+      if (!firstUnfinished) {
+        console.log(`✅ La ejecución ${this.checkpoint.runId} ya está completa. Nada que reanudar.`);
+        return;
+      }
+
       // Step 1: Scrape businesses
       console.log('\n🔍 Paso 1: Scrapeando negocios de Google Maps...');
       const businesses = await this.scrapeBusinesses(options);
@@ -94,7 +234,7 @@ class LeadGenerationOrchestrator {
 
       // Step 3: Filter quality businesses
       console.log('\n🔍 Paso 3: Filtrando negocios de calidad...');
-      const qualityBusinesses = this.filterQualityBusinesses(enrichedBusinesses);
+      const qualityBusinesses = await this.selectQualityBusinesses(enrichedBusinesses, options);
       console.log(`✅ ${qualityBusinesses.length} negocios de calidad seleccionados`);
 
       // Step 4: Generate personalized messages
@@ -103,16 +243,18 @@ class LeadGenerationOrchestrator {
       this.stats.messagesGenerated = messagesData.length;
       console.log(`✅ ${messagesData.length} mensajes generados`);
 
-      // Step 5: Send WhatsApp messages (optional)
-      // if (options.sendMessages) {
-      //   console.log('\n🔍 Paso 5: Enviando mensajes por WhatsApp...');
-      //   const results = await this.sendWhatsAppMessages(messagesData);
-      //   this.stats.messagesSent = results.filter(r => r.success).length;
-      //   console.log(`✅ ${this.stats.messagesSent} mensajes enviados exitosamente`);
-      // } else {
-      //   console.log('\n⏭️ Paso 5: Omitido (sendMessages = false)');
-      //   console.log('💾 Los mensajes han sido guardados y están listos para enviar');
-      // }
+      // Step 5: Send approved messages (optional)
+      if (options.sendMessages) {
+        console.log('\n🔍 Paso 5: Enviando mensajes aprobados (WhatsApp / email)...');
+        const results = await this.sendApprovedMessages(messagesData);
+        this.stats.messagesSent = results.filter(r => r.success).length;
+        console.log(`✅ ${this.stats.messagesSent} mensajes enviados exitosamente`);
+      } else {
+        console.log('\n⏭️ Paso 5: Omitido (sendMessages = false)');
+        console.log('💾 Los mensajes han sido guardados y están pendientes de aprobación');
+        console.log(`   Revisa con: node src/main.js review list --run ${this.checkpoint.runId}`);
+        await this.checkpoint.skipStage('send', 'sendMessages = false');
+      }
 
       // Save final results
       await this.saveFinalResults(messagesData);
@@ -122,60 +264,275 @@ class LeadGenerationOrchestrator {
 
     } catch (error) {
       console.error('❌ Error en el pipeline:', error);
+      if (this.checkpoint) {
+        console.log(`♻️  Puedes reanudar con: npm start -- --resume ${this.checkpoint.runId}`);
+      }
+      throw error;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  async runStage(command, options = {}) {
+    this.stats.startTime = new Date();
+    console.log(`\n📊 Ejecutando etapa "${command}" - ${this.stats.startTime.toLocaleString()}`);
+
+    try {
+      switch (command) {
+        case 'scrape': {
+          await this.openCheckpoint(options.run ? { resume: options.run } : options);
+          const scrapeOptions = options.run ? this.checkpoint.options : options;
+          const businesses = await this.scrapeBusinesses(scrapeOptions);
+          this.stats.businessesScraped = businesses.length;
+          console.log(`✅ ${businesses.length} negocios encontrados`);
+          break;
+        }
+
+        case 'enrich': {
+          const businesses = await this.loadStageInput(command, options);
+          this.stats.businessesScraped = businesses.length;
+          const enrichedBusinesses = await this.enrichBusinessData(businesses);
+          this.stats.businessesEnriched = enrichedBusinesses.filter(b => b.enriched).length;
+          console.log(`✅ ${this.stats.businessesEnriched} negocios enriquecidos`);
+          break;
+        }
+
+        case 'verify': {
+          const enrichedBusinesses = await this.loadStageInput(command, options);
+          await this.verifyWhatsAppRegistration(enrichedBusinesses);
+          break;
+        }
+
+        case 'generate': {
+          const enrichedBusinesses = await this.loadStageInput(command, options);
+          const qualityBusinesses = await this.selectQualityBusinesses(enrichedBusinesses, options);
+          console.log(`✅ ${qualityBusinesses.length} negocios de calidad seleccionados`);
+          const messagesData = await this.generatePersonalizedMessages(qualityBusinesses);
+          this.stats.messagesGenerated = messagesData.length;
+          console.log(`✅ ${messagesData.length} mensajes generados`);
+          await this.saveFinalResults(messagesData);
+          break;
+        }
+
+        case 'send': {
+          // Bare --resume drains the outbox; --resume <runId> works like --run
+          let results;
+          if (options.resume === true) {
+            results = await this.resumeOutbox();
+          } else {
+            const messagesData = await this.loadStageInput(command, { ...options, run: options.run || options.resume });
+            results = await this.sendApprovedMessages(messagesData);
+          }
+          this.stats.messagesSent = results.filter(r => r.success).length;
+          console.log(`✅ ${this.stats.messagesSent} mensajes enviados exitosamente`);
+          break;
+        }
+
+        default:
+          throw new Error(`Etapa desconocida: ${command}`);
+      }
+
+      const nextCommand = STAGE_COMMANDS.slice(STAGE_COMMANDS.indexOf(command) + 1)
+        .find(stage => stage !== 'verify' || config.registrationCheck.enabled);
+      if (nextCommand) {
+        console.log(`\n➡️  Siguiente paso: node src/main.js ${nextCommand} --run ${this.checkpoint.runId}`);
+      }
+
+      this.stats.endTime = new Date();
+      this.printFinalStats();
+
+    } catch (error) {
+      console.error(`❌ Error en la etapa "${command}":`, error);
       throw error;
     } finally {
       await this.cleanup();
     }
   }
 
+  async loadStageInput(command, options = {}) {
+    const inputStage = STAGE_INPUTS[command];
+
+    if (options.run) {
+      await this.openCheckpoint({ resume: options.run });
+
+      if (!this.checkpoint.isStageComplete(inputStage)) {
+        throw new Error(`La etapa "${inputStage}" de ${options.run} no está completa. Ejecuta primero: node src/main.js ${inputStage} --run ${options.run}`);
+      }
+
+      return this.checkpoint.loadStageOutput(inputStage);
+    }
+
+    if (options.input) {
+      const raw = await fs.readFile(options.input, 'utf8');
+      const data = JSON.parse(raw);
+      // Accept both raw stage files and lead_generation_results_*.json
+      const records = Array.isArray(data) ? data : data.messages;
+
+      if (!Array.isArray(records)) {
+        throw new Error(`El archivo ${options.input} no contiene una lista de registros`);
+      }
+
+      // Start a new run seeded with the imported file so later stages can use --run
+      await this.openCheckpoint({ importedFrom: options.input });
+
+      // Sends, acks and replies of imported records are tracked against their leads
+      await this.openLeadStore();
+      this.importRecords(records, this.checkpoint.runId);
+      await this.leadStore.save();
+      const inputIndex = PIPELINE_STAGES.indexOf(inputStage);
+      for (const stage of PIPELINE_STAGES.slice(0, inputIndex)) {
+        await this.checkpoint.skipStage(stage, `imported from ${options.input}`);
+      }
+      await this.checkpoint.completeStage(inputStage, records);
+
+      console.log(`📂 ${records.length} registros importados desde ${options.input}`);
+      return records;
+    }
+
+    throw new Error(`El comando "${command}" necesita --run <runId> o --input <archivo>`);
+  }
+
   async scrapeBusinesses(options) {
+    if (this.checkpoint?.isStageComplete('scrape')) {
+      const businesses = await this.checkpoint.loadStageOutput('scrape');
+      console.log(`  ⏭️ Scraping ya completado, reutilizando ${businesses.length} negocios`);
+      return businesses;
+    }
+
     const queries = options.queries || [options.businessType].filter(Boolean);
     const location = options.location || config.search.location;
+    // National numbers in the listings belong to the searched country
+    const phoneCountry = this.getPhoneCountry(location);
     const allBusinesses = [];
+    const completedQueries = [];
+    const failedPlaces = [];
+    // Searches that threw: the stage stays open so a resume runs them again
+    let failedQueries = [];
+
+    if (this.checkpoint) {
+      await this.checkpoint.startStage('scrape');
+      allBusinesses.push(...this.checkpoint.getItems('scrape'));
+      completedQueries.push(...(this.checkpoint.getProgress('scrape').completedQueries || []));
+      failedPlaces.push(...(this.checkpoint.getProgress('scrape').failedPlaces || []));
+      failedQueries = this.checkpoint.getProgress('scrape').failedQueries || [];
+    }
 
     for (const query of queries) {
+      if (completedQueries.includes(query)) {
+        console.log(`  ⏭️ "${query}" ya scrapeado en esta ejecución`);
+        continue;
+      }
+
       console.log(`  🔍 Buscando: "${query}" en ${location}`);
 
       try {
-        const businesses = await this.scraper.searchBusinesses(query, location);
+        const businesses = (await this.scraper.searchBusinesses(query, location))
+          .map(business => classifyBusinessPhone(business, phoneCountry));
         console.log(`    ✅ ${businesses.length} negocios encontrados`);
+        failedPlaces.push(...this.scraper.failedPlaces.map(place => ({ ...place, query })));
+
+        const nonMobile = businesses.filter(business => business.phone && !hasMobilePhone(business, phoneCountry));
+        if (nonMobile.length > 0) {
+          const fixed = nonMobile.filter(business => business.phoneType === PHONE_TYPE.FIXED_LINE).length;
+          console.log(`    ☎️  ${nonMobile.length} sin móvil (${fixed} fijos, ${nonMobile.length - fixed} otros): no se contactarán por WhatsApp`);
+        }
 
-        // Merge results (avoid duplicates)
+        // Merge results into the lead store (avoid duplicates by lead identity)
+        const newBusinesses = [];
         businesses.forEach(business => {
-          const exists = allBusinesses.find(existing =>
-            existing.name === business.name && existing.address === business.address
-          );
+          const lead = this.leadStore.upsertBusiness(business, { runId: this.checkpoint?.runId, event: 'scraped' });
+          const exists = allBusinesses.find(existing => existing.leadId === lead.id);
           if (!exists) {
-            allBusinesses.push(business);
+            const storedBusiness = { ...business, leadId: lead.id };
+            allBusinesses.push(storedBusiness);
+            newBusinesses.push(storedBusiness);
           }
         });
+        await this.leadStore.save();
+
+        if (this.checkpoint) {
+          completedQueries.push(query);
+          failedQueries = failedQueries.filter(failed => failed.query !== query);
+          await this.checkpoint.recordItems('scrape', newBusinesses, { completedQueries, failedPlaces, failedQueries });
+        }
 
         // Delay between queries to avoid being blocked
         await new Promise(resolve => setTimeout(resolve, 2000));
 
       } catch (error) {
         console.error(`    ❌ Error buscando "${query}":`, error.message);
+        failedQueries = [...failedQueries.filter(failed => failed.query !== query), { query, error: error.message, at: new Date().toISOString() }];
+        if (this.checkpoint) {
+          await this.checkpoint.recordItems('scrape', [], { failedQueries });
+        }
       }
     }
 
+    // Places the scraper listed but could not read, even after retrying
+    if (failedPlaces.length > 0) {
+      console.log(`\n  ⚠️ ${failedPlaces.length} fichas no se pudieron leer:`);
+      failedPlaces.forEach(place => {
+        console.log(`    - ${place.name} ("${place.query}", ${place.attempts} intentos): ${place.error}`);
+        console.log(`      ${place.url}`);
+      });
+    }
+
+    // Completing the stage now would drop these searches from the run for good
+    if (failedQueries.length > 0 && this.checkpoint) {
+      console.log(`\n  ⚠️ ${failedQueries.length} búsquedas fallaron:`);
+      failedQueries.forEach(failed => console.log(`    - "${failed.query}": ${failed.error}`));
+      throw new Error(`El scraping no está completo; reanuda con --resume ${this.checkpoint.runId} (o scrape --run ${this.checkpoint.runId}) para reintentar las búsquedas fallidas`);
+    }
+
     // Save scraped data
-    const scrapedFile = path.join(config.paths.data, `scraped_businesses_${Date.now()}.json`);
-    await this.saveData(allBusinesses, scrapedFile);
+    await this.saveStageOutput('scrape', allBusinesses, 'scraped_businesses');
 
     return allBusinesses;
   }
 
   async enrichBusinessData(businesses) {
+    if (this.checkpoint?.isStageComplete('enrich')) {
+      const enrichedBusinesses = await this.checkpoint.loadStageOutput('enrich');
+      console.log(`  ⏭️ Enriquecimiento ya completado, reutilizando ${enrichedBusinesses.length} negocios`);
+      return enrichedBusinesses;
+    }
+
     console.log(`  📍 Enriqueciendo ${businesses.length} negocios...`);
     const enrichedBusinesses = [];
 
-    for (let i = 0; i < businesses.length; i++) {
+    if (this.checkpoint) {
+      await this.checkpoint.startStage('enrich');
+      enrichedBusinesses.push(...this.checkpoint.getItems('enrich'));
+      if (enrichedBusinesses.length > 0) {
+        console.log(`  ♻️  Reanudando en ${enrichedBusinesses.length + 1}/${businesses.length}`);
+      }
+    }
+
+    for (let i = enrichedBusinesses.length; i < businesses.length; i++) {
       const business = businesses[i];
       console.log(`    ${i + 1}/${businesses.length}: ${business.name}`);
 
+      let enriched;
       try {
-        const enriched = await this.placesApi.enrichBusinessData(business);
-        enrichedBusinesses.push(enriched);
+        const lead = this.leadStore.findLead(business);
+
+        if (this.isEnrichmentFresh(lead)) {
+          // Reuse the enrichment stored by a previous run instead of paying for Places again
+          const { placeId, googlePlaceDetails, reviews, enrichedAt, email } = lead.business;
+          enriched = { ...business, placeId, googlePlaceDetails, reviews, enriched: true, enrichedAt, ...(email && { email }) };
+          console.log(`      ♻️  Enriquecimiento reutilizado de la base de leads (${enrichedAt})`);
+        } else {
+          enriched = await this.placesApi.enrichBusinessData(business);
+        }
+
+        // Leads without a mobile number can only be reached by email
+        if (this.emailFinder && !enriched.email && !hasMobilePhone(enriched, this.getPhoneCountry())) {
+          const email = await this.emailFinder.findEmail(enriched.website || enriched.googlePlaceDetails?.website);
+          if (email) {
+            enriched.email = email;
+            console.log(`      📧 Email encontrado en la web: ${email}`);
+          }
+        }
 
         // Rate limiting
         if (i % 10 === 0 && i > 0) {
@@ -185,21 +542,125 @@ class LeadGenerationOrchestrator {
 
       } catch (error) {
         console.error(`    ❌ Error enriqueciendo ${business.name}:`, error.message);
-        enrichedBusinesses.push({ ...business, enriched: false, error: error.message });
+        enriched = { ...business, enriched: false, error: error.message };
+      }
+
+      const lead = this.leadStore.upsertBusiness(enriched, { runId: this.checkpoint?.runId, event: 'enriched' });
+      enriched.leadId = lead.id;
+      await this.leadStore.save();
+
+      enrichedBusinesses.push(enriched);
+      if (this.checkpoint) {
+        await this.checkpoint.recordItems('enrich', [enriched]);
       }
     }
 
     // Save enriched data
-    const enrichedFile = path.join(config.paths.data, `enriched_businesses_${Date.now()}.json`);
-    await this.saveData(enrichedBusinesses, enrichedFile);
+    await this.saveStageOutput('enrich', enrichedBusinesses, 'enriched_businesses');
 
     return enrichedBusinesses;
   }
 
+  isEnrichmentFresh(lead) {
+    if (!lead?.business?.enriched || !lead.business.enrichedAt) {
+      return false;
+    }
+
+    const ageMs = Date.now() - new Date(lead.business.enrichedAt).getTime();
+    return ageMs < config.leadStore.enrichmentTtlDays * 24 * 60 * 60 * 1000;
+  }
+
+  async selectQualityBusinesses(businesses, options = {}) {
+    if (this.checkpoint?.isStageComplete('filter')) {
+      return this.checkpoint.loadStageOutput('filter');
+    }
+
+    if (options.verifyWhatsApp || config.registrationCheck.enabled) {
+      await this.verifyWhatsAppRegistration(businesses);
+    }
+
+    // Cached registration checks let the filter drop numbers that are not on WhatsApp
+    const qualityBusinesses = this.filterQualityBusinesses(businesses.map(business => this.withWhatsAppRegistration(business)));
+
+    if (this.checkpoint) {
+      await this.checkpoint.completeStage('filter', qualityBusinesses);
+    }
+
+    return qualityBusinesses;
+  }
+
+  getRegistrationTtlMs() {
+    return config.registrationCheck.ttlDays * 24 * 60 * 60 * 1000;
+  }
+
+  getCachedWhatsAppCheck(business) {
+    return this.leadStore.getWhatsAppCheck(this.leadStore.findLead(business), {
+      phone: business.phone,
+      maxAgeMs: this.getRegistrationTtlMs()
+    });
+  }
+
+  withWhatsAppRegistration(business) {
+    const check = this.getCachedWhatsAppCheck(business);
+    return check ? { ...business, whatsappRegistered: check.registered } : business;
+  }
+
+  // Asks the sender transport which mobile numbers are on WhatsApp and caches the answer
+  // in each lead, so only leads without a fresh check are looked up
+  async verifyWhatsAppRegistration(businesses) {
+    const phoneCountry = this.getPhoneCountry();
+    const mobiles = businesses.filter(business => hasMobilePhone(business, phoneCountry));
+    const toCheck = mobiles.filter(business => !this.getCachedWhatsAppCheck(business));
+
+    console.log(`  📲 Comprobando WhatsApp: ${toCheck.length} números por verificar, ${mobiles.length - toCheck.length} en caché`);
+
+    const counts = { registered: 0, notRegistered: 0, unknown: 0 };
+    if (toCheck.length > 0) {
+      await this.initializeWhatsAppSender();
+    }
+
+    for (let i = 0; i < toCheck.length; i++) {
+      const business = toCheck[i];
+
+      let registered = null;
+      try {
+        registered = await this.whatsappSender.checkRegistration(business.phone);
+      } catch (error) {
+        console.error(`    ❌ Error comprobando ${business.phone}:`, error.message);
+      }
+
+      if (registered === null) {
+        counts.unknown++;
+      } else {
+        counts[registered ? 'registered' : 'notRegistered']++;
+        const lead = this.leadStore.findLead(business)
+          || this.leadStore.upsertBusiness(business, { runId: this.checkpoint?.runId, event: 'verified' });
+        this.leadStore.recordWhatsAppCheck(lead, {
+          phone: business.phone,
+          registered,
+          transport: this.whatsappSender.transport.name
+        });
+        await this.leadStore.save();
+        if (!registered) {
+          console.log(`    📵 ${business.name} (${business.phone}): sin WhatsApp`);
+        }
+      }
+
+      if (i + 1 < toCheck.length) {
+        await new Promise(resolve => setTimeout(resolve, config.registrationCheck.delay));
+      }
+    }
+
+    if (toCheck.length > 0) {
+      console.log(`  ✅ ${counts.registered} con WhatsApp, 📵 ${counts.notRegistered} sin WhatsApp${counts.unknown ? `, ❔ ${counts.unknown} sin comprobar` : ''}`);
+    }
+    return counts;
+  }
+
   filterQualityBusinesses(businesses) {
     return businesses.filter(business => {
-      // Must have phone number
-      if (config.validation.requirePhone && !business.phone) {
+      // Must be reachable on an enabled channel (phone for WhatsApp, address for email)
+      if (config.validation.requirePhone && !chooseChannel(business, config.channels.enabled, this.getPhoneCountry())) {
         return false;
       }
 
@@ -225,104 +686,1050 @@ class LeadGenerationOrchestrator {
   }
 
   async generatePersonalizedMessages(businesses) {
+    if (this.checkpoint?.isStageComplete('generate')) {
+      const messagesData = await this.checkpoint.loadStageOutput('generate');
+      console.log(`  ⏭️ Mensajes ya generados, reutilizando ${messagesData.length} mensajes`);
+      return messagesData;
+    }
+
     console.log(`  🤖 Generando mensajes para ${businesses.length} negocios...`);
+    const batchSize = config.llm.batchSize;
+    const messagesData = [];
+
+    if (this.checkpoint) {
+      await this.checkpoint.startStage('generate');
+      messagesData.push(...this.checkpoint.getItems('generate'));
+      if (messagesData.length > 0) {
+        console.log(`  ♻️  Reanudando en ${messagesData.length + 1}/${businesses.length}`);
+      }
+    }
+
+    // Skip businesses already generated in this run, anyone in the do-not-contact ledger and
+    // leads we cannot reach (e.g. landline only) before spending LLM tokens on them
+    const generated = new Set(messagesData.map(messageData => messageData.leadId || messageData.businessName));
+    const toGenerate = businesses.filter(business => {
+      if (generated.has(business.leadId || business.name)) {
+        return false;
+      }
+
+      const blocked = this.contactLedger.checkBusiness(business);
+      if (blocked) {
+        console.log(`    🚫 ${business.name}: en la lista de no contactar (${blocked.reason})`);
+        return false;
+      }
 
-    const contentResults = await this.messageGenerator.generateBatchContent(
-      businesses,
-      config.llm.batchSize
-    );
+      if (!chooseChannel(business, config.channels.enabled, this.getPhoneCountry())) {
+        console.log(`    📵 ${business.name}: sin móvil ni email (${business.phoneType || 'sin teléfono'})`);
+        return false;
+      }
+
+      return true;
+    });
+
+    // Generate in batches so every finished batch is checkpointed
+    for (let i = 0; i < toGenerate.length; i += batchSize) {
+      const batch = toGenerate.slice(i, i + batchSize);
+      const contentResults = await this.messageGenerator.generateBatchContent(batch, batchSize);
+      const batchMessages = this.messageTemplate.generateBulkMessages(contentResults, {
+        channels: config.channels.enabled,
+        phoneCountry: this.getPhoneCountry()
+      });
+      messagesData.push(...batchMessages);
+
+      batchMessages.forEach(messageData => {
+        const lead = this.leadStore.recordMessage(messageData, { runId: this.checkpoint?.runId });
+        messageData.leadId = lead.id;
+      });
+      await this.leadStore.save();
+
+      if (this.checkpoint) {
+        await this.checkpoint.recordItems('generate', batchMessages);
+      }
 
-    const messagesData = this.messageTemplate.generateBulkMessages(contentResults);
+      // Rate limiting between batches
+      if (i + batchSize < toGenerate.length) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
 
     // Save messages data
-    const messagesFile = path.join(config.paths.data, `messages_${Date.now()}.json`);
-    await this.saveData(messagesData, messagesFile);
+    await this.saveStageOutput('generate', messagesData, 'messages');
 
     return messagesData;
   }
 
-  async sendWhatsAppMessages(messagesData) {
+  async sendApprovedMessages(messagesData) {
+    // A send stage skipped by a run without --send-messages is picked up again here
+    if (this.checkpoint) {
+      await this.checkpoint.reopenStage('send');
+    }
+
+    if (this.checkpoint?.isStageComplete('send')) {
+      const results = await this.checkpoint.loadStageOutput('send');
+      console.log(`  ⏭️ Envío ya completado (${results.length} resultados)`);
+      return results;
+    }
+
     console.log(`  📱 Preparando envío de ${messagesData.length} mensajes...`);
 
-    // Filter messages with valid phone numbers
-    const validMessages = messagesData.filter(msg => msg.phoneNumber && msg.phoneNumber.trim());
+    // Filter messages with a valid phone number or email address for their channel
+    const validMessages = messagesData.filter(msg => (getChannel(msg) === CHANNEL.EMAIL
+      ? Boolean(msg.email)
+      : Boolean(msg.phoneNumber && msg.phoneNumber.trim())));
 
     if (validMessages.length === 0) {
-      console.log('❌ No hay mensajes con números de teléfono válidos');
+      console.log('❌ No hay mensajes con un teléfono o email válido');
       return [];
     }
 
-    console.log(`  📱 ${validMessages.length} mensajes con números válidos`);
+    console.log(`  📱 ${validMessages.length} mensajes con destinatario válido`);
 
-    // Initialize WhatsApp
-    this.whatsappSender = new WhatsAppSender({
-      messageDelay: config.whatsapp.messageDelay,
-      maxMessagesPerHour: config.whatsapp.maxMessagesPerHour
-    });
+    // Only messages approved (or edited) by a reviewer are ever sent
+    const approvedMessages = validMessages.filter(isApproved);
+    const awaitingReview = validMessages.filter(msg => getStatus(msg) === MESSAGE_STATUS.PENDING);
+    const rejectedCount = validMessages.filter(msg => getStatus(msg) === MESSAGE_STATUS.REJECTED).length;
+    console.log(`  ✅ ${approvedMessages.length} aprobados, ⏳ ${awaitingReview.length} pendientes de revisión, 🚫 ${rejectedCount} rechazados`);
 
-    await this.whatsappSender.initialize();
+    const results = [];
+    if (this.checkpoint) {
+      await this.checkpoint.startStage('send');
+      results.push(...this.checkpoint.getItems('send'));
+    }
 
-    // Send messages
-    const results = await this.whatsappSender.sendBulkMessages(validMessages, {
-      batchSize: config.whatsapp.batchSize,
-      delayBetweenBatches: config.whatsapp.delayBetweenBatches
-    });
+    // Skip messages already attempted in a previous attempt of this run
+    const attempted = new Set(results.map(result => this.getMessageKey(result.originalData)));
+    const pendingMessages = approvedMessages.filter(msg => !attempted.has(this.getMessageKey(msg)));
 
-    // Save message log
-    await this.whatsappSender.saveMessageLog(config.paths.messageLog);
+    if (attempted.size > 0) {
+      console.log(`  ♻️  ${attempted.size} mensajes ya procesados, quedan ${pendingMessages.length}`);
+    }
 
-    return results;
-  }
+    // Check the do-not-contact ledger again: it may have changed since generation
+    const sendableMessages = [];
+    for (const messageData of pendingMessages) {
+      const blocked = this.contactLedger.checkBusiness(
+        { ...messageData.business, phone: messageData.phoneNumber, email: messageData.email },
+        { allowContacted: Boolean(messageData.followUp) }
+      );
+      if (!blocked) {
+        sendableMessages.push(messageData);
+        continue;
+      }
 
-  async saveFinalResults(messagesData) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const resultsFile = path.join(config.paths.output, `lead_generation_results_${timestamp}.json`);
+      console.log(`    🚫 ${messageData.businessName}: en la lista de no contactar (${blocked.reason})`);
+      const result = {
+        success: false,
+        skipped: true,
+        suppressed: true,
+        phoneNumber: messageData.phoneNumber,
+        error: `Do-not-contact: ${blocked.reason}`,
+        timestamp: new Date().toISOString(),
+        businessName: messageData.businessName,
+        originalData: messageData
+      };
+      results.push(result);
+      if (this.checkpoint) {
+        await this.checkpoint.recordItems('send', [result]);
+      }
+    }
 
-    const finalResults = {
-      metadata: {
-        generatedAt: new Date().toISOString(),
-        totalMessages: messagesData.length,
-        config: {
-          searchLocation: config.search.location,
-          businessTypes: config.search.businessTypes,
-          maxResults: config.search.maxResults
-        }
-      },
-      stats: this.stats,
-      messages: messagesData
+    if (sendableMessages.length === 0) {
+      console.log('  ⏸️  No hay mensajes aprobados por enviar');
+      if (awaitingReview.length > 0 && this.checkpoint) {
+        console.log(`     Revisa con: node src/main.js review list --run ${this.checkpoint.runId}`);
+      }
+      return results;
+    }
+
+    const onResult = async (result) => {
+      // Deferred messages stay queued for the next allowed slot or retry
+      if (result.deferred) return;
+
+      // Sent by an earlier attempt: already in the lead store
+      if (!result.alreadySent) {
+        this.leadStore.recordSend(result, { runId: this.checkpoint?.runId });
+        await this.leadStore.save();
+      }
+      if (this.checkpoint) {
+        await this.checkpoint.recordItems('send', [result]);
+      }
     };
 
-    await this.saveData(finalResults, resultsFile);
-    console.log(`💾 Resultados finales guardados en: ${resultsFile}`);
-  }
+    const whatsappMessages = sendableMessages.filter(msg => getChannel(msg) === CHANNEL.WHATSAPP);
+    const emailMessages = sendableMessages.filter(msg => getChannel(msg) === CHANNEL.EMAIL);
+    const newResults = [];
+
+    if (whatsappMessages.length > 0) {
+      console.log(`  📱 ${whatsappMessages.length} por WhatsApp`);
+      await this.initializeWhatsAppSender();
+      newResults.push(...await this.whatsappSender.sendBulkMessages(whatsappMessages, {
+        batchSize: config.whatsapp.batchSize,
+        delayBetweenBatches: config.whatsapp.delayBetweenBatches,
+        runId: this.checkpoint?.runId,
+        onResult
+      }));
+    }
 
+    if (emailMessages.length > 0) {
+      console.log(`  📧 ${emailMessages.length} por email`);
+      await this.initializeEmailSender();
+      newResults.push(...await this.emailSender.sendBulkMessages(emailMessages, {
+        runId: this.checkpoint?.runId,
+        onResult
+      }));
+    }
 
-  async ensureDirectories() {
-    const directories = [
-      config.paths.data,
-      config.paths.logs,
-      config.paths.output
-    ];
+    const deferred = newResults.filter(result => result.deferred);
+    results.push(...newResults.filter(result => !result.deferred));
 
-    for (const dir of directories) {
-      try {
-        await fs.mkdir(dir, { recursive: true });
-      } catch (error) {
-        // Directory might already exist
+    if (deferred.length > 0) {
+      const nextSlots = deferred.map(result => result.nextAttemptAt).filter(Boolean).sort();
+      console.log(`  🕒 ${deferred.length} mensajes quedan en cola (fuera de la franja de envío, límite de calentamiento o pendientes de reintento)`);
+      if (nextSlots.length > 0) {
+        console.log(`     Próxima franja permitida: ${new Date(nextSlots[0]).toLocaleString()}`);
+      }
+      if (this.checkpoint) {
+        console.log(`     Reanuda el envío con: node src/main.js send --run ${this.checkpoint.runId}`);
       }
     }
-  }
 
-  async saveData(data, filename) {
-    try {
-      await fs.writeFile(filename, JSON.stringify(data, null, 2));
-    } catch (error) {
-      console.error(`Error saving data to ${filename}:`, error);
+    if (this.whatsappSender) {
+      await this.leadStore.save();
+      await this.printWarmUp();
     }
-  }
 
-  printFinalStats() {
-    const duration = this.stats.endTime - this.stats.startTime;
+    // Only close the stage when every message was reviewed and attempted
+    if (awaitingReview.length === 0 && results.length >= approvedMessages.length) {
+      await this.saveStageOutput('send', results, 'send_results');
+    }
+
+    return results;
+  }
+
+  async printWarmUp() {
+    const { warmUp } = await this.whatsappSender.getStats();
+    if (!warmUp) return;
+
+    const status = warmUp.complete ? 'completado' : `día ${warmUp.day}`;
+    console.log(`  🌡️  Calentamiento (${status}): ${warmUp.sentToday}/${warmUp.dailyLimit} enviados hoy, quedan ${warmUp.remainingToday}`);
+  }
+
+  async resumeOutbox() {
+    const outbox = await this.openOutbox();
+    const pending = outbox.listPending();
+
+    if (pending.length === 0) {
+      console.log('  ✅ No hay envíos pendientes en la cola de salida');
+      return [];
+    }
+
+    console.log(`  📤 Reanudando ${pending.length} envíos pendientes de la cola de salida...`);
+    const onResult = async (result) => {
+      if (result.deferred || result.alreadySent) return;
+
+      const entry = outbox.get(result.originalData && createIdempotencyKey(result.originalData, outbox.phoneCountry));
+      this.leadStore.recordSend(result, { runId: entry?.runId });
+      await this.leadStore.save();
+    };
+
+    const pendingMessages = pending.map(entry => entry.messageData);
+    const whatsappMessages = pendingMessages.filter(msg => getChannel(msg) === CHANNEL.WHATSAPP);
+    const emailMessages = pendingMessages.filter(msg => getChannel(msg) === CHANNEL.EMAIL);
+    const results = [];
+
+    if (whatsappMessages.length > 0) {
+      await this.initializeWhatsAppSender();
+      results.push(...await this.whatsappSender.sendBulkMessages(whatsappMessages, {
+        batchSize: config.whatsapp.batchSize,
+        delayBetweenBatches: config.whatsapp.delayBetweenBatches,
+        onResult
+      }));
+    }
+
+    if (emailMessages.length > 0) {
+      await this.initializeEmailSender();
+      results.push(...await this.emailSender.sendBulkMessages(emailMessages, { onResult }));
+    }
+
+    await this.leadStore.save();
+    if (this.whatsappSender) {
+      await this.printWarmUp();
+    }
+
+    const stats = outbox.getStats();
+    console.log(`  📊 Cola de salida: ${Object.entries(stats.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ')}`);
+
+    return results.filter(result => !result.deferred);
+  }
+
+  async initializeWhatsAppSender() {
+    if (this.whatsappSender) {
+      return this.whatsappSender;
+    }
+
+    this.whatsappSender = new WhatsAppSender({
+      transport: this.createTransport(),
+      phoneCountry: this.getPhoneCountry(),
+      messageDelay: config.whatsapp.messageDelay,
+      maxMessagesPerHour: config.whatsapp.maxMessagesPerHour,
+      maxMessagesPerDay: config.whatsapp.maxMessagesPerDay,
+      sendQuota: await new SendQuota(config.paths.sendQuota, {
+        maxPerHour: config.whatsapp.maxMessagesPerHour,
+        maxPerDay: config.whatsapp.maxMessagesPerDay
+      }).load(),
+      warmUp: config.warmUp.enabled
+        ? await new WarmUpSchedule(config.paths.warmUp, config.warmUp).load()
+        : null,
+      leadStore: this.leadStore,
+      contactLedger: this.contactLedger,
+      followUpScheduler: new FollowUpScheduler({ leadStore: this.leadStore, contactLedger: this.contactLedger }),
+      optOutDetector: new OptOutDetector({
+        languages: config.optOut.languages,
+        keywords: config.optOut.keywords
+      }),
+      optOutConfirmation: {
+        enabled: config.optOut.sendConfirmation,
+        message: config.optOut.confirmationMessage
+      },
+      replyNotifier: new ReplyNotifier(config.notifications),
+      messageLog: this.messageLog,
+      sendingWindow: new SendingWindow(config.sendingWindow),
+      maxWindowWait: config.sendingWindow.maxWaitMinutes * 60 * 1000,
+      outbox: await this.openOutbox(),
+      maxRetryWait: config.outbox.maxInlineRetryWait
+    });
+
+    await this.whatsappSender.initialize();
+    return this.whatsappSender;
+  }
+
+  async initializeEmailSender() {
+    if (this.emailSender) {
+      return this.emailSender;
+    }
+
+    this.emailSender = new EmailSender({
+      ...config.email,
+      contactLedger: this.contactLedger,
+      followUpScheduler: new FollowUpScheduler({ leadStore: this.leadStore, contactLedger: this.contactLedger }),
+      messageLog: this.messageLog,
+      sendQuota: await new SendQuota(config.paths.emailSendQuota, {
+        maxPerHour: config.email.maxPerHour,
+        maxPerDay: config.email.maxPerDay
+      }).load(),
+      sendingWindow: new SendingWindow(config.sendingWindow),
+      maxWindowWait: config.sendingWindow.maxWaitMinutes * 60 * 1000,
+      outbox: await this.openOutbox(),
+      maxRetryWait: config.outbox.maxInlineRetryWait
+    });
+
+    await this.emailSender.initialize();
+    return this.emailSender;
+  }
+
+  createTransport() {
+    if (config.transport.type === 'fake') {
+      console.log(`🧪 Usando transporte falso (${config.transport.fake.path}): no se envía nada real`);
+      return new FakeTransport(config.transport.fake);
+    }
+
+    if (config.transport.type === 'cloud-api') {
+      console.log('☁️  Usando WhatsApp Business Cloud API');
+      return new CloudApiTransport(config.transport.cloudApi);
+    }
+
+    if (config.transport.type !== 'whatsapp-web') {
+      throw new Error(`Transporte desconocido: ${config.transport.type}`);
+    }
+
+    return new WhatsAppWebTransport();
+  }
+
+  async manageFakeTransport(action = 'sent', args = [], options = {}) {
+    const transport = new FakeTransport(config.transport.fake);
+
+    switch (action) {
+      case 'sent': {
+        const sent = await transport.listSent();
+        console.log(`\n🧪 ${sent.length} mensajes enviados al transporte falso`);
+        sent.slice(-(options.limit || sent.length)).forEach(message => {
+          console.log(`\n[${message.at}] → ${message.to} (${message.id})`);
+          console.log(`   ${message.body}`);
+        });
+        break;
+      }
+
+      case 'reply': {
+        if (args.length === 0 || !options.message) {
+          throw new Error('Uso: fake reply <teléfono> --message "<texto>"');
+        }
+        await transport.injectReply(args[0], options.message);
+        console.log(`📨 Respuesta de ${args[0]} en cola; se entrega en el próximo envío o con "listen"`);
+        break;
+      }
+
+      case 'read': {
+        if (args.length === 0) {
+          throw new Error('Uso: fake read <teléfono...>');
+        }
+        for (const phone of args) {
+          const count = await transport.injectRead(phone);
+          console.log(`👀 ${count} mensajes a ${phone} marcados como leídos`);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para fake: ${action}`);
+    }
+  }
+
+  async manageFollowUps(action = 'list', args = [], options = {}) {
+    await this.ensureDirectories();
+    const leadStore = await this.openLeadStore();
+    const contactLedger = await this.openContactLedger();
+    const messageTemplate = new MessageTemplate({
+      yourName: config.messageTemplate.yourName,
+      defaultTemplate: config.messageTemplate.defaultTemplate
+    });
+
+    const steps = parseFollowUpSteps(config.campaign.followUps);
+    if (steps.length === 0) {
+      console.log('⏸️  No hay seguimientos configurados (FOLLOWUP_STEPS)');
+      return;
+    }
+
+    const unknown = steps.filter(step => !messageTemplate.templates[step.template] && !messageTemplate.emailTemplates[step.template]);
+    if (unknown.length > 0) {
+      throw new Error(`Plantillas de seguimiento desconocidas: ${unknown.map(step => step.template).join(', ')}`);
+    }
+
+    const scheduler = new FollowUpScheduler({
+      steps,
+      campaign: config.campaign.name,
+      leadStore,
+      contactLedger,
+      messageTemplate
+    });
+    const { due, upcoming } = scheduler.getSchedule();
+
+    switch (action) {
+      case 'list': {
+        console.log(`\n🔁 Campaña "${config.campaign.name}": ${steps.map(step => `+${step.days}d ${step.template}`).join(', ')}`);
+        console.log(`\n⏰ ${due.length} seguimientos pendientes de enviar`);
+        due.slice(0, options.limit || due.length).forEach(item => this.printFollowUp(item));
+        console.log(`\n📅 ${upcoming.length} programados`);
+        upcoming.slice(0, options.limit || upcoming.length).forEach(item => this.printFollowUp(item));
+        if (due.length > 0) {
+          console.log('\n   Prepáralos para revisión con: node src/main.js followups queue');
+        }
+        break;
+      }
+
+      case 'queue': {
+        if (due.length === 0) {
+          console.log('✅ No hay seguimientos pendientes');
+          return;
+        }
+
+        // Follow-ups go through a run of their own so review and send work as usual
+        const messagesData = scheduler.createMessages(due.slice(0, options.limit || due.length));
+        await this.openCheckpoint({ followUps: true, campaign: config.campaign.name });
+        for (const stage of ['scrape', 'enrich', 'filter']) {
+          await this.checkpoint.skipStage(stage, 'follow-ups');
+        }
+
+        messagesData.forEach(messageData => leadStore.recordMessage(messageData, { runId: this.checkpoint.runId }));
+        await leadStore.save();
+        await this.checkpoint.completeStage('generate', messagesData);
+
+        console.log(`🔁 ${messagesData.length} seguimientos creados y pendientes de aprobación`);
+        console.log(`   Revisa con: node src/main.js review list --run ${this.checkpoint.runId}`);
+        console.log(`   Envía con:  node src/main.js send --run ${this.checkpoint.runId}`);
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para followups: ${action}`);
+    }
+  }
+
+  printFollowUp({ lead, step, dueAt, initialSend }) {
+    const channel = initialSend.channel || CHANNEL.WHATSAPP;
+    console.log(`  ${dueAt.toLocaleString()}  ${lead.business.name}  [${channel}]  paso ${step.step} (${step.template}, +${step.days}d)  ${lead.id}`);
+  }
+
+  getMessageKey(messageData = {}) {
+    return messageData.id || `${messageData.businessName}|${messageData.phoneNumber}`;
+  }
+
+  async reviewMessages(action = 'list', ids = [], options = {}) {
+    if (['approve', 'reject'].includes(action) && ids.length === 0 && !options.all) {
+      throw new Error('Indica los IDs de los mensajes o --all');
+    }
+
+    const filename = await this.resolveMessagesFile(options);
+    const queue = await new ApprovalQueue(filename).load();
+
+    switch (action) {
+      case 'list': {
+        const status = options.status || MESSAGE_STATUS.PENDING;
+        const messages = queue.list(status);
+        console.log(`\n📋 Mensajes (${status}): ${messages.length}`);
+        messages.forEach(messageData => this.printReviewEntry(messageData));
+        break;
+      }
+
+      case 'approve': {
+        const approved = queue.approve(ids, { all: options.all });
+        console.log(`✅ ${approved.length} mensajes aprobados`);
+        break;
+      }
+
+      case 'reject': {
+        const rejected = queue.reject(ids, options.reason, { all: options.all });
+        console.log(`🚫 ${rejected.length} mensajes rechazados`);
+        break;
+      }
+
+      case 'edit': {
+        if (ids.length !== 1 || !options.message) {
+          throw new Error('Uso: review edit <id> --message "nuevo texto"');
+        }
+        const edited = queue.edit(ids[0], options.message);
+        const validation = new MessageTemplate().validateMessage(edited.message);
+        validation.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+        console.log(`✏️  Mensaje ${edited.id} editado y aprobado`);
+        break;
+      }
+
+      default:
+        throw new Error(`Acción de revisión desconocida: ${action}`);
+    }
+
+    if (action !== 'list') {
+      await queue.save();
+
+      // Mirror review decisions in the lead store
+      const leadStore = await this.openLeadStore();
+      queue.list('all')
+        .filter(messageData => ids.includes(messageData.id) || (options.all && messageData.reviewedAt))
+        .forEach(messageData => leadStore.recordMessage(messageData, { runId: options.run || null }));
+      await leadStore.save();
+    }
+
+    const counts = queue.getCounts();
+    console.log(`\n⏳ ${counts.pending} pendientes | ✅ ${counts.approved} aprobados | ✏️  ${counts.edited} editados | 🚫 ${counts.rejected} rechazados`);
+  }
+
+  async resolveMessagesFile(options = {}) {
+    if (options.run) {
+      const checkpoint = await RunCheckpoint.resume(config.paths.data, options.run);
+      if (!checkpoint.isStageComplete('generate')) {
+        throw new Error(`La ejecución ${options.run} todavía no tiene mensajes generados`);
+      }
+      return checkpoint.getOutputPath('generate');
+    }
+
+    if (options.input) {
+      return options.input;
+    }
+
+    throw new Error('La revisión necesita --run <runId> o --input <archivo>');
+  }
+
+  printReviewEntry(messageData) {
+    console.log('─'.repeat(50));
+    console.log(`🆔 ${messageData.id}  [${getStatus(messageData)}]`);
+    if (getChannel(messageData) === CHANNEL.EMAIL) {
+      console.log(`🏢 ${messageData.businessName}  📧 ${messageData.email}`);
+      console.log(`✉️  Asunto: ${messageData.subject}`);
+    } else {
+      console.log(`🏢 ${messageData.businessName}  📞 ${messageData.phoneNumber || '-'}`);
+    }
+    console.log(`💬 ${messageData.message}`);
+    if (messageData.rejectionReason) {
+      console.log(`🚫 Motivo: ${messageData.rejectionReason}`);
+    }
+  }
+
+  async manageDoNotContact(action = 'list', args = [], options = {}) {
+    const ledger = await this.openContactLedger();
+
+    switch (action) {
+      case 'import': {
+        if (args.length === 0) {
+          throw new Error('Uso: dnc import <archivo.csv...> [--reason motivo]');
+        }
+        for (const file of args) {
+          const { imported, skipped } = await ledger.importCsv(file, { reason: options.reason });
+          console.log(`📂 ${file}: ${imported} importados, ${skipped} filas sin teléfono, email ni place ID`);
+        }
+        await ledger.save();
+        break;
+      }
+
+      case 'add': {
+        if (args.length === 0) {
+          throw new Error('Uso: dnc add <teléfono|email...> [--reason motivo]');
+        }
+        args.forEach(contact => ledger.suppress({
+          ...(contact.includes('@') ? { email: contact } : { phone: contact }),
+          reason: options.reason,
+          source: 'manual'
+        }));
+        await ledger.save();
+        console.log(`🚫 ${args.length} contactos añadidos a la lista de no contactar`);
+        break;
+      }
+
+      case 'list': {
+        const entries = ledger.list(options.status);
+        console.log(`\n🚫 ${entries.length} entradas`);
+        entries.forEach(entry => {
+          console.log(`  ${entry.phone || entry.email || '-'}  ${entry.placeId || '-'}  [${entry.reason}]  ${entry.businessName || ''}  (${entry.source || '-'}, ${entry.addedAt})`);
+        });
+        break;
+      }
+
+      case 'check': {
+        args.forEach(contact => {
+          const entry = ledger.check(contact.includes('@') ? { email: contact } : { phone: contact });
+          console.log(entry ? `🚫 ${contact}: ${entry.reason} (${entry.addedAt})` : `✅ ${contact}: se puede contactar`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para dnc: ${action}`);
+    }
+
+    const stats = ledger.getStats();
+    console.log(`\n📒 Ledger: ${stats.phones} teléfonos, ${stats.places} place IDs, ${stats.emails} emails`);
+  }
+
+  // Entries are settled by hand when the outcome of a send is unknown (interrupted while sending)
+  async manageOutbox(action = 'list', args = [], options = {}) {
+    const outbox = await this.openOutbox();
+
+    switch (action) {
+      case 'list': {
+        const all = Object.values(outbox.entries).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const entries = !options.status ? outbox.listPending()
+          : options.status === 'all' ? all : all.filter(entry => entry.status === options.status);
+        console.log(`\n📤 ${entries.length} envíos`);
+        entries.slice(-(options.limit || 50)).forEach(entry => {
+          console.log(`  ${entry.key}  [${entry.status}]  ${entry.messageData?.businessName || ''}  (${entry.attempts} intentos, ${entry.updatedAt})`);
+          if (entry.lastError) console.log(`     ❌ ${entry.lastError}`);
+          if (entry.nextRetryAt) console.log(`     ⏰ próximo intento: ${entry.nextRetryAt}`);
+        });
+        break;
+      }
+
+      case 'sent': {
+        if (args.length === 0) {
+          throw new Error('Uso: outbox sent <clave...>');
+        }
+        const leadStore = await this.openLeadStore();
+        const ledger = await this.openContactLedger();
+        const keys = args.filter(key => {
+          if (outbox.get(key)?.status !== OUTBOX_STATUS.SENT) return true;
+          console.log(`⏭️ ${key} ya estaba enviado`);
+          return false;
+        });
+        keys.forEach(key => {
+          const entry = outbox.markSent(key, { reconciled: true });
+          const messageData = entry.messageData || {};
+          leadStore.recordSend({
+            success: true,
+            channel: entry.channel,
+            email: entry.email,
+            phoneNumber: entry.phoneNumber,
+            timestamp: entry.sentAt,
+            originalData: messageData
+          }, { runId: entry.runId });
+          ledger.recordContact({
+            phone: entry.channel === CHANNEL.EMAIL ? null : entry.phoneNumber,
+            email: entry.email,
+            leadId: entry.leadId,
+            businessName: messageData.businessName,
+            source: entry.channel
+          });
+        });
+        await outbox.save();
+        await leadStore.save();
+        await ledger.save();
+        console.log(`✅ ${keys.length} envíos marcados como enviados (registrados en la base de leads y el ledger)`);
+        break;
+      }
+
+      case 'retry': {
+        if (args.length === 0) {
+          throw new Error('Uso: outbox retry <clave...>');
+        }
+        args.forEach(key => outbox.retry(key));
+        await outbox.save();
+        console.log(`🔁 ${args.length} envíos en cola de nuevo. Envíalos con: node src/main.js send --resume`);
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para outbox: ${action}`);
+    }
+
+    const stats = outbox.getStats();
+    console.log(`\n📊 Cola de salida: ${Object.entries(stats.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ') || 'vacía'}`);
+  }
+
+  async showInbox(action = 'list', args = [], options = {}) {
+    const leadStore = await this.openLeadStore();
+
+    switch (action) {
+      case 'list': {
+        const leads = leadStore.getInbox({ unreadOnly: !options.all });
+        console.log(`\n📥 ${leads.length} conversaciones ${options.all ? '' : 'con respuestas sin leer'}`);
+        leads.forEach(lead => this.printConversation(lead, { unreadOnly: true }));
+        break;
+      }
+
+      case 'show': {
+        const lead = leadStore.getLead(args[0]);
+        if (!lead) {
+          throw new Error(`Lead no encontrado: ${args[0]}`);
+        }
+        this.printConversation(lead, { unreadOnly: false });
+        leadStore.markRead(lead);
+        await leadStore.save();
+        break;
+      }
+
+      case 'read': {
+        const leads = options.all ? leadStore.getInbox() : args.map(id => leadStore.getLead(id)).filter(Boolean);
+        leads.forEach(lead => leadStore.markRead(lead));
+        await leadStore.save();
+        console.log(`✅ ${leads.length} conversaciones marcadas como leídas`);
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para inbox: ${action}`);
+    }
+  }
+
+  // Saved Google Maps pages to develop and regression-check the scrapers offline
+  async manageFixtures(action = 'check', options = {}) {
+    const dir = options.dir || config.scraping.fixturesDir;
+
+    switch (action) {
+      case 'capture': {
+        const queries = options.queries || [options.businessType].filter(Boolean);
+        if (queries.length === 0) {
+          throw new Error('Uso: fixtures capture --type <término> [--location <ubicación>] [--dir carpeta]');
+        }
+        const location = options.location || config.search.location;
+
+        this.scraper = this.createScraper({ fixtures: { mode: FIXTURE_MODE.CAPTURE, dir } });
+        try {
+          for (const query of queries) {
+            const businesses = await this.scraper.searchBusinesses(query, location);
+            console.log(`📸 "${query}" en ${location}: ${businesses.length} negocios guardados en ${dir}`);
+          }
+        } finally {
+          await this.scraper.close();
+        }
+        break;
+      }
+
+      case 'check': {
+        const searches = await new FixtureStore(dir).listExpected();
+        if (searches.length === 0) {
+          console.log(`📭 No hay búsquedas guardadas en ${dir}. Captura una con: node src/main.js fixtures capture --type <término>`);
+          return;
+        }
+
+        let failed = 0;
+        for (const search of searches) {
+          const scraper = this.createScraper({ engine: search.engine, fixtures: { mode: FIXTURE_MODE.REPLAY, dir } });
+          let businesses;
+          try {
+            businesses = await scraper.searchBusinesses(search.query, search.location);
+          } finally {
+            await scraper.close();
+          }
+
+          const differences = compareResults(search.businesses, businesses);
+          if (differences.length === 0) {
+            console.log(`✅ ${search.key} (${search.engine}): ${businesses.length} negocios coinciden`);
+            continue;
+          }
+
+          failed++;
+          console.log(`❌ ${search.key} (${search.engine}): ${differences.length} diferencias`);
+          differences.forEach(({ name, field, expected, actual }) => {
+            if (field === 'missing') console.log(`   - ${name}: no se ha extraído`);
+            else if (field === 'unexpected') console.log(`   + ${name}: no estaba en la captura`);
+            else console.log(`   ~ ${name}: ${field} esperado ${JSON.stringify(expected)}, obtenido ${JSON.stringify(actual)}`);
+          });
+        }
+
+        if (failed > 0) {
+          throw new Error(`${failed} de ${searches.length} búsquedas guardadas no coinciden`);
+        }
+        console.log(`\n✅ ${searches.length} búsquedas guardadas coinciden`);
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para fixtures: ${action}`);
+    }
+  }
+
+  async queryMessageLog(type = null, options = {}) {
+    if (type && !Object.values(LOG_TYPE).includes(type.toUpperCase())) {
+      throw new Error(`Tipo desconocido: ${type} (${Object.values(LOG_TYPE).join(', ')})`);
+    }
+
+    this.applyPhoneCountry();
+    const entries = await this.messageLog.query({
+      type,
+      phone: options.phone,
+      business: options.business,
+      leadId: options.lead,
+      runId: options.run,
+      since: options.since,
+      until: options.until
+    }, { limit: options.limit || 50 });
+
+    console.log(`\n📜 ${entries.length} eventos en ${config.paths.messageLog}`);
+    entries.forEach(entry => {
+      const to = entry.email || entry.phoneNumber || '-';
+      const ids = [entry.leadId, entry.runId, entry.transportMessageId].filter(Boolean).join('  ');
+      console.log(`[${entry.timestamp}] ${entry.type.padEnd(8)} ${entry.channel || ''}  ${to}  ${entry.businessName || ''}  ${ids}`);
+      if (entry.status) console.log(`   estado: ${entry.status}`);
+      if (entry.subject) console.log(`   asunto: ${entry.subject}`);
+      if (entry.error) console.log(`   ❌ ${entry.error}`);
+      if (entry.body) console.log(`   ${entry.body.split('\n').join('\n   ')}`);
+    });
+  }
+
+  printConversation(lead, { unreadOnly = false } = {}) {
+    const conversation = this.leadStore.getConversation(lead);
+    const outreach = conversation.find(entry => entry.direction === 'out');
+    const unread = this.leadStore.getUnreadReplies(lead);
+
+    console.log('─'.repeat(50));
+    console.log(`🏢 ${lead.business.name}  📞 ${lead.business.phone || '-'}  [${lead.status}]  🆔 ${lead.id}`);
+    if (outreach) {
+      console.log(`📤 Mensaje original (${outreach.at}):\n   ${outreach.body}`);
+    }
+
+    const entries = unreadOnly ? unread : conversation;
+    entries.forEach(entry => {
+      const icon = entry.direction === 'in' ? (entry.read ? '📥' : '🆕') : '📤';
+      console.log(`${icon} ${entry.at}: ${entry.body}`);
+    });
+  }
+
+  async listenForReplies(options = {}) {
+    await this.ensureDirectories();
+    await this.openLeadStore();
+    await this.openContactLedger();
+    await this.initializeWhatsAppSender();
+
+    const minutes = options.duration;
+    console.log(`👂 Escuchando respuestas de WhatsApp${minutes ? ` durante ${minutes} minutos` : ''} (Ctrl+C para terminar)...`);
+
+    // Whichever ends the wait first (Ctrl+C or the duration) removes the other
+    let timer = null;
+    let onSigint = null;
+    await new Promise(resolve => {
+      onSigint = resolve;
+      process.once('SIGINT', onSigint);
+      if (minutes) {
+        timer = setTimeout(resolve, minutes * 60000);
+      }
+    });
+    process.off('SIGINT', onSigint);
+    clearTimeout(timer);
+
+    await this.leadStore.save();
+    await this.cleanup();
+
+    const unread = this.leadStore.getInbox().length;
+    console.log(`📥 ${unread} conversaciones con respuestas sin leer. Revisa con: node src/main.js inbox`);
+  }
+
+  async manageLeads(action = 'list', args = [], options = {}) {
+    const leadStore = await this.openLeadStore();
+
+    switch (action) {
+      case 'list': {
+        const leads = leadStore.query({
+          status: options.status,
+          search: options.search,
+          minRating: options.minRating,
+          runId: options.run,
+          limit: options.limit
+        });
+        console.log(`\n🗂️  ${leads.length} leads encontrados`);
+        leads.forEach(lead => this.printLeadSummary(lead));
+        break;
+      }
+
+      case 'show': {
+        const lead = leadStore.getLead(args[0]);
+        if (!lead) {
+          throw new Error(`Lead no encontrado: ${args[0]}`);
+        }
+        console.log(JSON.stringify(lead, null, 2));
+        break;
+      }
+
+      case 'stats': {
+        const stats = leadStore.getStats();
+        console.log(`\n🗂️  Total de leads: ${stats.totalLeads}`);
+        Object.entries(stats.byStatus).forEach(([status, count]) => {
+          console.log(`    ${status}: ${count}`);
+        });
+
+        const delivery = options.run ? leadStore.getDeliveryStats({ runId: options.run }) : stats.delivery;
+        console.log(`\n📱 Envíos${options.run ? ` de ${options.run}` : ''}: ${delivery.sent}`);
+        console.log(`    📬 entregados: ${delivery.delivered} (${delivery.deliveryRate}%)`);
+        console.log(`    👀 leídos: ${delivery.read} (${delivery.readRate}%)`);
+        console.log(`    💬 respondidos: ${delivery.replied} (${delivery.replyRate}%)`);
+        break;
+      }
+
+      case 'import': {
+        if (args.length === 0) {
+          throw new Error('Uso: leads import <archivo.json...>');
+        }
+        for (const file of args) {
+          const count = await this.importIntoLeadStore(file);
+          console.log(`📂 ${count} registros importados desde ${file}`);
+        }
+        await leadStore.save();
+        console.log(`🗂️  Total de leads: ${leadStore.getStats().totalLeads}`);
+        break;
+      }
+
+      default:
+        throw new Error(`Acción desconocida para leads: ${action}`);
+    }
+  }
+
+  async importIntoLeadStore(file) {
+    const raw = await fs.readFile(file, 'utf8');
+    const data = JSON.parse(raw);
+    const records = Array.isArray(data) ? data : data.messages || [];
+    const runId = data.metadata?.runId || null;
+
+    this.importRecords(records, runId);
+    return records.length;
+  }
+
+  // Upserts businesses and messages read from a stage or results file and sets their leadId
+  importRecords(records, runId = null) {
+    records.forEach(record => {
+      if (record.message && record.business) {
+        // Deterministic id so importing the same file twice doesn't duplicate messages
+        record.id = record.id || `msg_${crypto.createHash('sha1').update(`${record.businessName}|${record.message}`).digest('hex').substring(0, 8)}`;
+        this.leadStore.upsertBusiness(record.business, { runId, event: 'imported' });
+        record.leadId = this.leadStore.recordMessage(record, { runId }).id;
+      } else if (record.name) {
+        record.leadId = this.leadStore.upsertBusiness(record, { runId, event: 'imported' }).id;
+      }
+    });
+  }
+
+  printLeadSummary(lead) {
+    const business = lead.business;
+    const rating = business.googlePlaceDetails?.currentRating || business.rating || '-';
+    console.log('─'.repeat(50));
+    console.log(`🆔 ${lead.id}  [${lead.status}]  ⭐ ${rating}`);
+    console.log(`🏢 ${business.name}  📞 ${business.phone || '-'}${business.phoneType ? ` (${business.phoneType})` : ''}`);
+    console.log(`📍 ${business.address || '-'}`);
+    if (business.category || business.priceRange) {
+      console.log(`🏷️  ${[business.category, business.priceRange].filter(Boolean).join(' · ')}`);
+    }
+    const status = business.googlePlaceDetails?.businessStatus || business.status;
+    if (status && status !== 'OPERATIONAL') {
+      console.log(`⛔ ${status === 'CLOSED_PERMANENTLY' ? 'Cerrado permanentemente' : 'Cerrado temporalmente'}`);
+    }
+    console.log(`🕒 Actualizado: ${lead.updatedAt}  💬 ${lead.messages.length} mensajes  📱 ${lead.sends.filter(s => s.success).length} envíos`);
+  }
+
+  async saveFinalResults(messagesData) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const resultsFile = path.join(config.paths.output, `lead_generation_results_${timestamp}.json`);
+
+    // The lead store is the source of truth; the output file is a per-run report of it
+    await this.leadStore.save();
+    const runLeads = this.checkpoint ? this.leadStore.query({ runId: this.checkpoint.runId }) : [];
+
+    const finalResults = {
+      metadata: {
+        runId: this.checkpoint?.runId,
+        generatedAt: new Date().toISOString(),
+        totalMessages: messagesData.length,
+        totalRunLeads: runLeads.length,
+        leadStore: config.paths.leads,
+        config: {
+          searchLocation: config.search.location,
+          businessTypes: config.search.businessTypes,
+          maxResults: config.search.maxResults
+        }
+      },
+      stats: this.stats,
+      leadStats: this.leadStore.getStats(),
+      messages: messagesData.map(messageData => ({
+        ...messageData,
+        leadStatus: this.leadStore.getLead(messageData.leadId)?.status
+      }))
+    };
+
+    await this.saveData(finalResults, resultsFile);
+    console.log(`💾 Resultados finales guardados en: ${resultsFile}`);
+  }
+
+
+  async ensureDirectories() {
+    const directories = [
+      config.paths.data,
+      config.paths.logs,
+      config.paths.output
+    ];
+
+    for (const dir of directories) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+      } catch (error) {
+        // Directory might already exist
+      }
+    }
+  }
+
+  async saveStageOutput(stage, data, filePrefix) {
+    if (this.checkpoint) {
+      await this.checkpoint.completeStage(stage, data);
+      return this.checkpoint.getOutputPath(stage);
+    }
+
+    const filename = path.join(config.paths.data, `${filePrefix}_${Date.now()}.json`);
+    await this.saveData(data, filename);
+    return filename;
+  }
+
+  async saveData(data, filename) {
+    try {
+      await fs.writeFile(filename, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error(`Error saving data to ${filename}:`, error);
+    }
+  }
+
+  printFinalStats() {
+    const duration = this.stats.endTime - this.stats.startTime;
     const durationMinutes = Math.round(duration / 60000);
 
     console.log('\n📊 ESTADÍSTICAS FINALES:');
@@ -333,6 +1740,18 @@ class LeadGenerationOrchestrator {
     console.log(`💬 Mensajes generados: ${this.stats.messagesGenerated}`);
     console.log(`📱 Mensajes enviados: ${this.stats.messagesSent}`);
 
+    if (this.leadStore) {
+      console.log(`🗂️  Leads en la base: ${this.leadStore.getStats().totalLeads}`);
+
+      // Acks keep arriving after the run; `leads stats` shows the up-to-date rates
+      const delivery = this.leadStore.getDeliveryStats({ runId: this.checkpoint?.runId });
+      if (delivery.sent > 0) {
+        console.log(`📬 Entregados: ${delivery.delivered}/${delivery.sent} (${delivery.deliveryRate}%)`);
+        console.log(`👀 Leídos: ${delivery.read}/${delivery.sent} (${delivery.readRate}%)`);
+        console.log(`💬 Respondidos: ${delivery.replied}/${delivery.sent} (${delivery.replyRate}%)`);
+      }
+    }
+
     if (this.placesApi) {
       const placesStats = this.placesApi.getUsageStats();
       console.log(`💰 Costo Google Places: ~$${placesStats.estimatedCost.toFixed(4)}`);
@@ -357,6 +1776,14 @@ class LeadGenerationOrchestrator {
       await this.whatsappSender.close();
     }
 
+    if (this.emailSender) {
+      await this.emailSender.close();
+    }
+
+    if (this.leadStore) {
+      await this.leadStore.save();
+    }
+
     console.log('✅ Cleanup completado');
   }
 }
@@ -364,11 +1791,13 @@ class LeadGenerationOrchestrator {
 // CLI Interface
 async function main() {
   const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args.shift() : 'run';
   const options = {
     businessType: process.env.BUSINESS_TYPE, // default
     sendMessages: false,
     location: process.env.SEARCH_LOCATION
   };
+  const positional = [];
 
   // Parse command line arguments
   for (let i = 0; i < args.length; i++) {
@@ -382,19 +1811,196 @@ async function main() {
       case '--send-messages':
         options.sendMessages = true;
         break;
+      case '--verify-whatsapp':
+        options.verifyWhatsApp = true;
+        break;
       case '--queries':
         options.queries = args[++i].split(',');
         break;
+      case '--resume':
+        // The runId is optional for `send --resume`
+        options.resume = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+        break;
+      case '--run':
+        options.run = args[++i];
+        break;
+      case '--input':
+        options.input = args[++i];
+        break;
+      case '--all':
+        options.all = true;
+        break;
+      case '--status':
+        options.status = args[++i];
+        break;
+      case '--reason':
+        options.reason = args[++i];
+        break;
+      case '--message':
+        options.message = args[++i];
+        break;
+      case '--search':
+        options.search = args[++i];
+        break;
+      case '--min-rating':
+        options.minRating = parseFloat(args[++i]);
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i]);
+        break;
+      case '--duration':
+        options.duration = parseFloat(args[++i]);
+        break;
+      case '--phone':
+        options.phone = args[++i];
+        break;
+      case '--business':
+        options.business = args[++i];
+        break;
+      case '--lead':
+        options.lead = args[++i];
+        break;
+      case '--since':
+        options.since = args[++i];
+        break;
+      case '--until':
+        options.until = args[++i];
+        break;
+      case '--dir':
+        options.dir = args[++i];
+        break;
       case '--help':
         printHelp();
         return;
+      default:
+        if (!args[i].startsWith('--')) {
+          positional.push(args[i]);
+        }
+    }
+  }
+
+  if (command === 'review') {
+    try {
+      const [action, ...ids] = positional;
+      await new LeadGenerationOrchestrator().reviewMessages(action, ids, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'leads') {
+    try {
+      const [action, ...rest] = positional;
+      await new LeadGenerationOrchestrator().manageLeads(action, rest, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'inbox') {
+    try {
+      const [action, ...rest] = positional;
+      await new LeadGenerationOrchestrator().showInbox(action, rest, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'listen') {
+    try {
+      await new LeadGenerationOrchestrator().listenForReplies(options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
     }
+    return;
+  }
+
+  if (command === 'fake') {
+    try {
+      const [action, ...rest] = positional;
+      await new LeadGenerationOrchestrator().manageFakeTransport(action, rest, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'log') {
+    try {
+      await new LeadGenerationOrchestrator().queryMessageLog(positional[0], options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'fixtures') {
+    try {
+      await new LeadGenerationOrchestrator().manageFixtures(positional[0], options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'followups') {
+    try {
+      const [action, ...rest] = positional;
+      await new LeadGenerationOrchestrator().manageFollowUps(action, rest, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'dnc') {
+    try {
+      const [action, ...rest] = positional;
+      await new LeadGenerationOrchestrator().manageDoNotContact(action, rest, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'outbox') {
+    try {
+      const [action, ...rest] = positional;
+      await new LeadGenerationOrchestrator().manageOutbox(action, rest, options);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command !== 'run' && !STAGE_COMMANDS.includes(command)) {
+    console.error(`❌ Comando desconocido: ${command}`);
+    printHelp();
+    process.exit(1);
   }
 
   try {
     const orchestrator = new LeadGenerationOrchestrator();
     await orchestrator.initialize();
-    await orchestrator.runFullPipeline(options);
+
+    if (command === 'run') {
+      await orchestrator.runFullPipeline(options);
+    } else {
+      await orchestrator.runStage(command, options);
+    }
   } catch (error) {
     console.error('❌ Error fatal:', error);
     process.exit(1);
@@ -405,19 +2011,76 @@ function printHelp() {
   console.log(`
 🚀 GENERADOR DE LEADS PARA NEGOCIOS LOCALES
 
-Uso: npm start [opciones]
+Uso: node src/main.js [comando] [opciones]
+
+Comandos:
+  run                     Pipeline completo (por defecto)
+  scrape                  Solo scraping de Google Maps (crea una nueva ejecución)
+  enrich                  Enriquecer negocios scrapeados con Google Places
+  verify                  Comprobar qué números tienen WhatsApp (opcional, se guarda en la base de leads)
+  generate                Filtrar negocios y generar mensajes personalizados
+  send                    Enviar los mensajes aprobados (WhatsApp o email, según el lead)
+                            --resume: reintentar los envíos pendientes de la cola de salida
+  review [acción] [ids]   Revisar mensajes antes del envío:
+                            list [--status pending|approved|edited|rejected|all]
+                            approve <id...> | --all
+                            reject <id...> | --all [--reason <motivo>]
+                            edit <id> --message "<nuevo texto>"
+  leads [acción]          Consultar la base de leads persistente:
+                            list [--status s] [--search texto] [--min-rating n] [--run id] [--limit n]
+                            show <leadId> | stats [--run id] | import <archivo.json...>
+  inbox [acción]          Respuestas de los negocios contactados:
+                            list [--all] | show <leadId> | read <leadId...> | --all
+  listen                  Conectar WhatsApp y registrar respuestas [--duration minutos]
+  log [tipo]              Historial de mensajes (SENT, RECEIVED, ERROR, ACK, OPT_OUT, NOTIFY):
+                            [--phone tel] [--business texto] [--lead id] [--run id]
+                            [--since fecha] [--until fecha] [--limit n]
+  followups [acción]      Seguimientos a leads que no han respondido:
+                            list [--limit n] | queue [--limit n] (crea una ejecución para revisar y enviar)
+  dnc [acción]            Lista global de no contactar (contactados y excluidos):
+                            import <archivo.csv...> [--reason motivo]
+                            add <teléfono|email...> [--reason motivo]
+                            list [--status contacted|suppressed] | check <teléfono|email...>
+  outbox [acción]         Cola de salida (envíos pendientes, fallidos o interrumpidos):
+                            list [--status queued|sending|sent|failed|cancelled|all] [--limit n]
+                            sent <clave...> (ya salió) | retry <clave...> (volver a intentarlo)
+  fixtures [acción]       Páginas de Google Maps guardadas para probar el scraping sin conexión:
+                            capture --type <término> [--location ubicación] [--dir carpeta]
+                            check [--dir carpeta] (repite las búsquedas guardadas y compara)
+  fake [acción]           Transporte falso (MESSAGE_TRANSPORT=fake) para probar sin teléfono:
+                            sent [--limit n] | reply <teléfono> --message "<texto>" | read <teléfono...>
 
 Opciones:
   --type <término>        Término de búsqueda (ej: "comics", "restaurantes", "peluquerías")
   --location <ubicación>  Ubicación de búsqueda (ej: "Madrid, Spain")
-  --send-messages         Enviar mensajes por WhatsApp (requiere configuración)
+  --send-messages         Enviar los mensajes aprobados (requiere configuración)
+  --verify-whatsapp       Comprobar en WhatsApp los números antes de generar mensajes
   --queries <consultas>   Consultas personalizadas separadas por comas
+  --resume <runId>        Reanudar una ejecución interrumpida desde su checkpoint
+  --run <runId>           Usar la salida de la etapa anterior de esa ejecución
+  --input <archivo>       Usar un archivo JSON de la etapa anterior como entrada
   --help                  Mostrar esta ayuda
 
 Ejemplos:
   npm start --type "comics" --location "Madrid, Spain"
   npm start --type "restaurantes" --location "Barcelona, Spain"
   npm start --queries "pizzerías,hamburguesas,sushi" --location "Valencia"
+  npm start -- --resume run_2025-09-20T18-24-13-687Z
+  node src/main.js scrape --type "peluquerías" --location "Sevilla"
+  node src/main.js enrich --run run_2025-09-20T18-24-13-687Z
+  node src/main.js generate --input data/runs/run_2025-09-20T18-24-13-687Z/enriched_businesses.json
+  node src/main.js review list --run run_2025-09-20T18-24-13-687Z
+  node src/main.js review approve msg_1a2b3c4d msg_5e6f7a8b --run run_2025-09-20T18-24-13-687Z
+  node src/main.js send --run run_2025-09-20T18-24-13-687Z
+  node src/main.js send --resume
+  node src/main.js leads list --status contacted --search "pizza"
+  node src/main.js leads import data/*.json output/*.json
+  node src/main.js dnc import clientes_actuales.csv --reason cliente
+  node src/main.js listen --duration 60
+  node src/main.js followups queue
+  node src/main.js log received --since 2025-09-20 --business "pizza"
+  node src/main.js inbox
+  node src/main.js fixtures capture --type "pizzerías" --location "Madrid, Spain"
 
 ⚠️  IMPORTANTE: Configurar las variables de entorno en .env antes de usar.
 `);
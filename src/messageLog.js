@@ -0,0 +1,107 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { DEFAULT_COUNTRY, normalizePhone } from './phoneNumber.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bare dates are local days; as an upper bound they include the whole day
+function parseDate(value, { endOfDay = false } = {}) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = new Date(`${value}T00:00:00`);
+    return endOfDay ? new Date(start.getTime() + DAY_MS - 1) : start;
+  }
+  return new Date(value);
+}
+
+export const LOG_TYPE = {
+  SENT: 'SENT',
+  RECEIVED: 'RECEIVED',
+  ERROR: 'ERROR',
+  ACK: 'ACK',
+  OPT_OUT: 'OPT_OUT',
+  NOTIFY: 'NOTIFY'
+};
+
+// Append-only JSONL log of every message event. Each entry is written as it happens,
+// so a crash loses nothing that was already logged
+export class MessageLog {
+  constructor(filename, options = {}) {
+    this.filename = filename;
+    // Country of national numbers in the phone filter; logged numbers are international
+    this.phoneCountry = options.phoneCountry || DEFAULT_COUNTRY;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Writes are chained so concurrent events never interleave their lines
+  append(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+
+    const write = this.pendingWrite.then(async () => {
+      await fsp.mkdir(path.dirname(this.filename), { recursive: true });
+      await fsp.appendFile(this.filename, line);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  async *entries() {
+    let stream;
+    try {
+      await fsp.access(this.filename);
+      stream = fs.createReadStream(this.filename, { encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a partial last line
+      }
+    }
+  }
+
+  // filters: { phone, business, type, leadId, runId, since, until }; dates as ISO strings or Dates
+  matches(entry, filters = {}) {
+    if (filters.type && entry.type !== filters.type.toUpperCase()) return false;
+    if (filters.leadId && entry.leadId !== filters.leadId) return false;
+    if (filters.runId && entry.runId !== filters.runId) return false;
+
+    if (filters.phone && (!entry.phoneNumber || normalizePhone(entry.phoneNumber, this.phoneCountry) !== normalizePhone(filters.phone, this.phoneCountry))) {
+      return false;
+    }
+    if (filters.business && !(entry.businessName || '').toLowerCase().includes(filters.business.toLowerCase())) {
+      return false;
+    }
+
+    const at = new Date(entry.timestamp);
+    if (filters.since && at < parseDate(filters.since)) return false;
+    if (filters.until && at > parseDate(filters.until, { endOfDay: true })) return false;
+
+    return true;
+  }
+
+  // The last `limit` matching entries, oldest first
+  async query(filters = {}, { limit = null } = {}) {
+    const results = [];
+
+    for await (const entry of this.entries()) {
+      if (!this.matches(entry, filters)) continue;
+      results.push(entry);
+      if (limit && results.length > limit) {
+        results.shift();
+      }
+    }
+
+    return results;
+  }
+}
+
+export default MessageLog;
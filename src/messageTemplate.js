@@ -1,3 +1,31 @@
+import { MESSAGE_STATUS, createMessageId } from './approvalQueue.js';
+import { CHANNEL, chooseChannel } from './channels.js';
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Text and HTML versions of an email body, with the footer (e.g. unsubscribe) below a separator
+export function formatEmailBodies(body, footer = '') {
+  const paragraphs = body.split(/\n{2,}/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const htmlParagraphs = paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`);
+
+  return {
+    text: footer ? `${paragraphs.join('\n\n')}\n\n--\n${footer}` : paragraphs.join('\n\n'),
+    html: [
+      '<!DOCTYPE html>',
+      '<html><body style="font-family: Arial, sans-serif; font-size: 14px; color: #222;">',
+      ...htmlParagraphs,
+      ...(footer ? [`<hr><p style="font-size: 12px; color: #777;">${escapeHtml(footer)}</p>`] : []),
+      '</body></html>'
+    ].join('\n')
+  };
+}
+
 export class MessageTemplate {
   constructor(options = {}) {
     this.templates = {
@@ -9,7 +37,85 @@ export class MessageTemplate {
 
       formal: `Buenos días. Soy {YOUR_NAME}, desarrollador web especializado en negocios locales. He investigado sobre {BUSINESS_NAME} y he visto que {PERSONALIZED_CONTENT}. Me gustaría proponerle una solución web que podría incrementar su visibilidad online. ¿Tendría disponibilidad para una llamada breve?`,
 
-      casual: `¡Hola! 👋 Me llamo {YOUR_NAME} y ayudo a negocios como {BUSINESS_NAME} a tener mejor presencia online. He visto que {PERSONALIZED_CONTENT}, ¡qué genial! ¿Te interesaría saber cómo una web podría ayudarte a conseguir más clientes?`
+      casual: `¡Hola! 👋 Me llamo {YOUR_NAME} y ayudo a negocios como {BUSINESS_NAME} a tener mejor presencia online. He visto que {PERSONALIZED_CONTENT}, ¡qué genial! ¿Te interesaría saber cómo una web podría ayudarte a conseguir más clientes?`,
+
+      // Follow-ups for leads that have not replied (see the campaign steps in config)
+      followup_1: `Hola de nuevo, soy {YOUR_NAME}. Le escribí hace unos días sobre una página web para {BUSINESS_NAME}. ¿Ha tenido ocasión de pensarlo? Si le interesa, le envío un par de ejemplos sin compromiso.`,
+
+      followup_2: `Hola, soy {YOUR_NAME} otra vez. No quiero insistir más: si en algún momento quiere mejorar la presencia online de {BUSINESS_NAME}, estaré encantado de ayudarle. ¡Un saludo!`
+    };
+
+    // Email gets its own subject and a longer, letter-style body
+    this.emailTemplates = {
+      default: {
+        subject: 'Una página web para {BUSINESS_NAME}',
+        body: `Hola,
+
+Soy {YOUR_NAME}, especialista en páginas web para negocios locales. He visto que {BUSINESS_NAME} tiene excelentes reseñas, {PERSONALIZED_CONTENT}.
+
+Me gustaría mostrarle cómo una página web profesional podría ayudarle a atraer aún más clientes. ¿Tendría unos minutos esta semana para una breve conversación?
+
+Un saludo,
+{YOUR_NAME}`
+      },
+
+      restaurant: {
+        subject: 'Menú online y reservas para {BUSINESS_NAME}',
+        body: `Hola,
+
+Soy {YOUR_NAME} y diseño páginas web para restaurantes. He visto que {BUSINESS_NAME} tiene muy buenas valoraciones, {PERSONALIZED_CONTENT}.
+
+Una web atractiva con la carta online y reservas podría ayudarles a captar más clientes. Si le interesa, le envío algunos ejemplos de restaurantes con los que he trabajado.
+
+Un saludo,
+{YOUR_NAME}`
+      },
+
+      beauty: {
+        subject: 'Citas online para {BUSINESS_NAME}',
+        body: `Hola,
+
+Soy {YOUR_NAME} y creo páginas web para centros de belleza y peluquerías. He visto que {BUSINESS_NAME} tiene excelente reputación, {PERSONALIZED_CONTENT}.
+
+Una página web con reserva de citas online podría ahorrarles llamadas y traerles nuevos clientes. ¿Le parece que lo hablemos brevemente?
+
+Un saludo,
+{YOUR_NAME}`
+      },
+
+      formal: {
+        subject: 'Propuesta de página web para {BUSINESS_NAME}',
+        body: `Buenos días,
+
+Mi nombre es {YOUR_NAME}, desarrollador web especializado en negocios locales. He investigado sobre {BUSINESS_NAME} y he visto que {PERSONALIZED_CONTENT}.
+
+Me gustaría proponerle una solución web que podría incrementar su visibilidad online. ¿Tendría disponibilidad para una llamada breve?
+
+Atentamente,
+{YOUR_NAME}`
+      },
+
+      followup_1: {
+        subject: 'Una página web para {BUSINESS_NAME}',
+        body: `Hola de nuevo,
+
+Le escribí hace unos días sobre una página web para {BUSINESS_NAME}. ¿Ha tenido ocasión de pensarlo?
+
+Si le interesa, le envío un par de ejemplos de negocios parecidos, sin ningún compromiso.
+
+Un saludo,
+{YOUR_NAME}`
+      },
+
+      followup_2: {
+        subject: 'Una página web para {BUSINESS_NAME}',
+        body: `Hola,
+
+No quiero insistir más. Si en algún momento quiere mejorar la presencia online de {BUSINESS_NAME}, estaré encantado de ayudarle.
+
+Un saludo,
+{YOUR_NAME}`
+      }
     };
 
     this.yourName = options.yourName || '[TU_NOMBRE]';
@@ -41,6 +147,29 @@ export class MessageTemplate {
     }
   }
 
+  generateEmail(business, personalizedContent, templateType = null) {
+    const templateName = this.emailTemplates[templateType] ? templateType : this.getAutoTemplate(business);
+    const template = this.emailTemplates[templateName] || this.emailTemplates.default;
+    const businessName = business.name || '[NOMBRE_NEGOCIO]';
+
+    const fill = text => text
+      .replace(/{YOUR_NAME}/g, this.yourName)
+      .replace(/{BUSINESS_NAME}/g, businessName)
+      .replace(/{PERSONALIZED_CONTENT}/g, personalizedContent);
+
+    const message = fill(template.body);
+
+    return {
+      subject: fill(template.subject),
+      message,
+      html: formatEmailBodies(message).html,
+      templateUsed: this.emailTemplates[templateName] ? templateName : 'default',
+      businessName,
+      personalizedContent,
+      length: message.length
+    };
+  }
+
   selectTemplate(business, templateType) {
     if (templateType && this.templates[templateType]) {
       return this.templates[templateType];
@@ -106,15 +235,27 @@ export class MessageTemplate {
 
   generateBulkMessages(businessesWithContent, options = {}) {
     const templateType = options.templateType;
+    const channels = options.channels || [CHANNEL.WHATSAPP];
     const results = [];
 
     businessesWithContent.forEach(({ business, content }) => {
       const personalizedContent = content.personalizedContent || 'tiene buena reputación';
-      const messageData = this.generateMessage(business, personalizedContent, templateType);
+      const channel = chooseChannel(business, channels, options.phoneCountry) || CHANNEL.WHATSAPP;
+      const messageData = channel === CHANNEL.EMAIL
+        ? this.generateEmail(business, personalizedContent, templateType)
+        : this.generateMessage(business, personalizedContent, templateType);
 
       results.push({
+        id: createMessageId(),
+        status: MESSAGE_STATUS.PENDING,
+        leadId: business.leadId,
         businessName: business.name,
+        channel,
         phoneNumber: business.phone,
+        ...(channel === CHANNEL.EMAIL && {
+          email: business.email,
+          subject: messageData.subject
+        }),
         message: messageData.message,
         templateUsed: messageData.templateUsed,
         messageLength: messageData.length,
@@ -0,0 +1,75 @@
+// Default opt-out phrases per language, matched as whole words on normalized text.
+// Single words ("baja", "stop") only count as the whole reply or nearly: "¿el precio baja?" is not an opt-out
+export const DEFAULT_OPT_OUT_KEYWORDS = {
+  es: [
+    'baja',
+    'darme de baja',
+    'no me interesa',
+    'no nos interesa',
+    'no estoy interesado',
+    'no estoy interesada',
+    'no me escriba',
+    'no me escribas',
+    'no vuelva a escribir',
+    'no vuelvas a escribir',
+    'no me contacte',
+    'no me contactes',
+    'no molesten',
+    'borrame',
+    'eliminame',
+    'spam'
+  ],
+  en: [
+    'stop',
+    'unsubscribe',
+    'not interested',
+    'remove me',
+    'opt out',
+    'do not contact',
+    'dont contact',
+    'leave me alone'
+  ]
+};
+
+// Longest reply (in words) in which a single-word keyword still counts, e.g. "baja por favor"
+const SINGLE_WORD_MAX_REPLY_WORDS = 3;
+
+function normalize(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export class OptOutDetector {
+  constructor(options = {}) {
+    this.languages = options.languages || Object.keys(DEFAULT_OPT_OUT_KEYWORDS);
+    this.keywords = {};
+
+    this.languages.forEach(language => {
+      const keywords = options.keywords?.[language] || DEFAULT_OPT_OUT_KEYWORDS[language] || [];
+      this.keywords[language] = keywords.map(normalize).filter(Boolean);
+    });
+  }
+
+  detect(text) {
+    const normalized = normalize(text);
+    const padded = ` ${normalized} `;
+    const isShortReply = normalized.split(' ').length <= SINGLE_WORD_MAX_REPLY_WORDS;
+
+    for (const language of this.languages) {
+      const keyword = this.keywords[language].find(kw => padded.includes(` ${kw} `)
+        && (kw.includes(' ') || isShortReply));
+      if (keyword) {
+        return { optedOut: true, language, keyword };
+      }
+    }
+
+    return { optedOut: false, language: null, keyword: null };
+  }
+}
+
+export default OptOutDetector;
@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_COUNTRY, normalizePhone } from './phoneNumber.js';
+import { normalizeEmail } from './contactLedger.js';
+import { CHANNEL, getChannel } from './channels.js';
+
+export const OUTBOX_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending', // Handed to the transport; outcome unknown if we crash here
+  SENT: 'sent',
+  FAILED: 'failed', // Permanent error or out of attempts
+  CANCELLED: 'cancelled' // Skipped before sending (e.g. do-not-contact)
+};
+
+const FINAL_STATUSES = [OUTBOX_STATUS.SENT, OUTBOX_STATUS.FAILED, OUTBOX_STATUS.CANCELLED];
+
+// One key per message and recipient: an edited message keeps its id, so it is still sent once
+export function createIdempotencyKey(messageData, country = DEFAULT_COUNTRY) {
+  const messageRef = messageData.id
+    || crypto.createHash('sha1').update(messageData.message || '').digest('hex').substring(0, 12);
+  if (getChannel(messageData) === CHANNEL.EMAIL) {
+    return `email:${normalizeEmail(messageData.email)}:${messageRef}`;
+  }
+  return `${normalizePhone(messageData.phoneNumber, country)}:${messageRef}`;
+}
+
+export function isFinal(entry) {
+  return FINAL_STATUSES.includes(entry.status);
+}
+
+export class Outbox {
+  constructor(filename, options = {}) {
+    this.filename = filename;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseDelay = options.retryBaseDelay || 60000;
+    this.retryMaxDelay = options.retryMaxDelay || 60 * 60000;
+    this.phoneCountry = options.phoneCountry || DEFAULT_COUNTRY;
+    this.entries = {};
+    this.dirty = false;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filename, 'utf8');
+      const data = JSON.parse(raw);
+      this.entries = data.entries || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read outbox ${this.filename}: ${error.message}`);
+      }
+      this.entries = {};
+    }
+    return this;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    const data = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    };
+
+    const tmpFile = `${this.filename}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, this.filename);
+    this.dirty = false;
+  }
+
+  get(key) {
+    return this.entries[key] || null;
+  }
+
+  enqueue(messageData, { runId = null } = {}) {
+    const key = createIdempotencyKey(messageData, this.phoneCountry);
+    const existing = this.entries[key];
+
+    if (existing) {
+      // Pick up edits made while the message was still waiting
+      if (existing.status === OUTBOX_STATUS.QUEUED) {
+        existing.messageData = messageData;
+        this.dirty = true;
+      }
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      key,
+      messageId: messageData.id || null,
+      leadId: messageData.leadId || null,
+      channel: getChannel(messageData),
+      phoneNumber: messageData.phoneNumber,
+      ...(getChannel(messageData) === CHANNEL.EMAIL && { email: normalizeEmail(messageData.email) }),
+      runId,
+      status: OUTBOX_STATUS.QUEUED,
+      attempts: 0,
+      lastError: null,
+      nextRetryAt: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      messageData
+    };
+
+    this.entries[key] = entry;
+    this.dirty = true;
+    return entry;
+  }
+
+  isDue(entry, now = Date.now()) {
+    return !entry.nextRetryAt || new Date(entry.nextRetryAt).getTime() <= now;
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseDelay * 2 ** (attempts - 1), this.retryMaxDelay);
+  }
+
+  update(key, changes) {
+    const entry = this.entries[key];
+    if (!entry) {
+      throw new Error(`Unknown outbox entry: ${key}`);
+    }
+
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    this.dirty = true;
+    return entry;
+  }
+
+  markSending(key) {
+    const entry = this.entries[key];
+    return this.update(key, {
+      status: OUTBOX_STATUS.SENDING,
+      attempts: entry.attempts + 1,
+      lastAttemptAt: new Date().toISOString()
+    });
+  }
+
+  markSent(key, { timestamp = new Date().toISOString(), transportMessageId = null, reconciled = false } = {}) {
+    return this.update(key, {
+      status: OUTBOX_STATUS.SENT,
+      sentAt: timestamp,
+      transportMessageId,
+      nextRetryAt: null,
+      ...(reconciled && { reconciled })
+    });
+  }
+
+  markFailed(key, error, { permanent = false } = {}) {
+    const entry = this.entries[key];
+
+    if (permanent || entry.attempts >= this.maxAttempts) {
+      return this.update(key, { status: OUTBOX_STATUS.FAILED, lastError: error, nextRetryAt: null, permanent });
+    }
+
+    const retryAt = new Date(Date.now() + this.getRetryDelay(entry.attempts));
+    return this.update(key, { status: OUTBOX_STATUS.QUEUED, lastError: error, nextRetryAt: retryAt.toISOString() });
+  }
+
+  // Put an interrupted send back in the queue once we know it never went out
+  requeue(key) {
+    return this.update(key, { status: OUTBOX_STATUS.QUEUED });
+  }
+
+  // Manual retry (`outbox retry`): due now, with a fresh set of attempts
+  retry(key) {
+    return this.update(key, { status: OUTBOX_STATUS.QUEUED, attempts: 0, nextRetryAt: null, permanent: false });
+  }
+
+  cancel(key, reason) {
+    return this.update(key, { status: OUTBOX_STATUS.CANCELLED, lastError: reason, nextRetryAt: null });
+  }
+
+  listPending() {
+    return Object.values(this.entries)
+      .filter(entry => !isFinal(entry))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getStats() {
+    const byStatus = {};
+    Object.values(this.entries).forEach(entry => {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    });
+
+    return {
+      total: Object.keys(this.entries).length,
+      byStatus
+    };
+  }
+}
+
+export default Outbox;
@@ -0,0 +1,135 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+export const PHONE_TYPE = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'fixed_line',
+  FIXED_LINE_OR_MOBILE: 'fixed_line_or_mobile', // e.g. US/CA numbers, where the type cannot be told apart
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  VOIP: 'voip',
+  PERSONAL_NUMBER: 'personal_number',
+  UAN: 'uan',
+  UNKNOWN: 'unknown',
+  INVALID: 'invalid'
+};
+
+// Types that can be on WhatsApp
+const MOBILE_TYPES = [PHONE_TYPE.MOBILE, PHONE_TYPE.FIXED_LINE_OR_MOBILE];
+
+export const DEFAULT_COUNTRY = 'ES';
+
+// Country names as they appear in search locations ("Madrid, Spain", "Lisboa, Portugal")
+const LOCATION_COUNTRIES = {
+  ES: ['spain', 'espana'],
+  PT: ['portugal'],
+  FR: ['france', 'francia'],
+  IT: ['italy', 'italia'],
+  DE: ['germany', 'alemania', 'deutschland'],
+  GB: ['united kingdom', 'uk', 'reino unido', 'england', 'inglaterra'],
+  IE: ['ireland', 'irlanda'],
+  NL: ['netherlands', 'paises bajos', 'holanda'],
+  BE: ['belgium', 'belgica'],
+  US: ['united states', 'usa', 'estados unidos', 'eeuu'],
+  MX: ['mexico'],
+  AR: ['argentina'],
+  CO: ['colombia'],
+  CL: ['chile'],
+  PE: ['peru'],
+  UY: ['uruguay']
+};
+
+// ISO country of the last comma-separated part of a search location, or the default
+// (with a warning, since every national number will then be read as a number of that country)
+export function getCountryForLocation(location, fallback = DEFAULT_COUNTRY) {
+  if (!location) return fallback;
+
+  const country = location.split(',').pop()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\./g, '')
+    .trim();
+
+  if (/^[a-z]{2}$/.test(country) && LOCATION_COUNTRIES[country.toUpperCase()]) {
+    return country.toUpperCase();
+  }
+
+  const match = Object.entries(LOCATION_COUNTRIES).find(([, names]) => names.includes(country));
+  if (!match) {
+    console.log(`Unrecognized country in search location "${location}": reading national phone numbers as ${fallback} numbers (set PHONE_COUNTRY to choose another)`);
+    return fallback;
+  }
+  return match[0];
+}
+
+function parsePhone(phoneNumber, country) {
+  // Accept WhatsApp ids like 34600000000@c.us, which are E.164 without the +
+  const raw = String(phoneNumber).split('@')[0].trim();
+  const international = raw.replace(/^00/, '+');
+
+  const parsed = parsePhoneNumberFromString(international, country);
+  if (parsed?.isValid() || raw.startsWith('+')) {
+    return parsed || null;
+  }
+
+  // Digits that already include a country code
+  const withPlus = parsePhoneNumberFromString(`+${raw.replace(/\D/g, '')}`);
+  return withPlus?.isValid() ? withPlus : parsed || null;
+}
+
+// E.164 digits without the +, the key for a phone number everywhere (lead store, ledger,
+// WhatsApp ids). National numbers are read as numbers of `country`
+export function normalizePhone(phoneNumber, country = DEFAULT_COUNTRY) {
+  if (!phoneNumber) return '';
+
+  const parsed = parsePhone(phoneNumber, country);
+  if (parsed?.isValid()) {
+    return parsed.number.substring(1);
+  }
+
+  // Unparseable: keep the digits so the number still works as an identity
+  return String(phoneNumber).split('@')[0].replace(/\D/g, '');
+}
+
+export function classifyPhone(phoneNumber, country = DEFAULT_COUNTRY) {
+  const parsed = phoneNumber ? parsePhone(phoneNumber, country) : null;
+
+  if (!parsed?.isValid()) {
+    return { e164: null, country: null, type: PHONE_TYPE.INVALID };
+  }
+
+  const type = parsed.getType();
+  return {
+    e164: parsed.number,
+    country: parsed.country || null,
+    type: type ? type.toLowerCase() : PHONE_TYPE.UNKNOWN
+  };
+}
+
+export function isMobileType(type) {
+  return MOBILE_TYPES.includes(type);
+}
+
+export function isMobilePhone(phoneNumber, country = DEFAULT_COUNTRY) {
+  return isMobileType(classifyPhone(phoneNumber, country).type);
+}
+
+// Rewrites the phone in E.164 so later steps never need the search country again,
+// keeping what the listing showed in phoneRaw
+export function classifyBusinessPhone(business, country = DEFAULT_COUNTRY) {
+  if (!business.phone) {
+    return business;
+  }
+
+  const { e164, country: phoneCountry, type } = classifyPhone(business.phone, country);
+  return {
+    ...business,
+    phone: e164 || business.phone,
+    phoneRaw: business.phoneRaw || business.phone,
+    phoneCountry,
+    phoneType: type
+  };
+}
+
+export default normalizePhone;
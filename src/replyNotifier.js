@@ -0,0 +1,89 @@
+import axios from 'axios';
+import { normalizePhone } from './phoneNumber.js';
+
+const PREVIEW_LENGTH = 300;
+
+function preview(text) {
+  if (!text) return '';
+  return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}...` : text;
+}
+
+// Tells the operator a lead answered: terminal alert, webhook POST and/or a WhatsApp
+// summary to their own number. Each channel fails on its own without affecting the rest
+export class ReplyNotifier {
+  constructor(options = {}) {
+    this.terminal = options.terminal !== false;
+    this.webhookUrl = options.webhookUrl || null;
+    this.webhookTimeout = options.webhookTimeout || 10000;
+    this.operatorNumber = options.operatorNumber || null;
+  }
+
+  isEnabled() {
+    return this.terminal || Boolean(this.webhookUrl) || Boolean(this.operatorNumber);
+  }
+
+  // The outgoing message the reply answers: the last one sent before it
+  static findOriginalMessage(conversation = [], replyAt) {
+    const sent = conversation.filter(entry => entry.direction === 'out' && (!replyAt || entry.at <= replyAt));
+    return sent.length > 0 ? sent[sent.length - 1].body : null;
+  }
+
+  createEvent(lead, { from, body, timestamp, optedOut = false }) {
+    return {
+      event: 'lead_reply',
+      leadId: lead.id,
+      businessName: lead.business?.name || null,
+      phone: `+${normalizePhone(from)}`,
+      originalMessage: ReplyNotifier.findOriginalMessage(lead.conversation, timestamp),
+      reply: body,
+      optedOut,
+      receivedAt: timestamp || new Date().toISOString()
+    };
+  }
+
+  formatSummary(event) {
+    const lines = [
+      `${event.optedOut ? 'Baja' : 'Nueva respuesta'} de ${event.businessName || 'negocio desconocido'} (${event.phone})`,
+      `Respuesta: ${preview(event.reply)}`
+    ];
+    if (event.originalMessage) {
+      lines.push(`Nuestro mensaje: ${preview(event.originalMessage)}`);
+    }
+    return lines.join('\n');
+  }
+
+  // options.sendWhatsApp(number, text) delivers the summary to the operator
+  async notify(event, options = {}) {
+    const summary = this.formatSummary(event);
+
+    if (this.terminal) {
+      this.printAlert(summary);
+    }
+
+    if (this.webhookUrl) {
+      try {
+        // `text` lets chat webhooks (Slack, Mattermost...) show it as is
+        await axios.post(this.webhookUrl, { ...event, text: summary }, { timeout: this.webhookTimeout });
+      } catch (error) {
+        console.error(`Reply notification webhook failed: ${error.message}`);
+      }
+    }
+
+    if (this.operatorNumber && options.sendWhatsApp) {
+      try {
+        await options.sendWhatsApp(this.operatorNumber, summary);
+      } catch (error) {
+        console.error(`Could not forward reply to operator ${this.operatorNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  printAlert(summary) {
+    const rule = '='.repeat(60);
+    // The bell makes most terminals flash or beep
+    process.stdout.write('\x07');
+    console.log(`\n${rule}\n🔔 ${summary.split('\n').join('\n   ')}\n${rule}\n`);
+  }
+}
+
+export default ReplyNotifier;
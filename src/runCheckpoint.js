@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const PIPELINE_STAGES = ['scrape', 'enrich', 'filter', 'generate', 'send'];
+
+const STAGE_OUTPUT_FILES = {
+  scrape: 'scraped_businesses.json',
+  enrich: 'enriched_businesses.json',
+  filter: 'quality_businesses.json',
+  generate: 'messages.json',
+  send: 'send_results.json'
+};
+
+export class RunCheckpoint {
+  constructor(dataDir, runId = null) {
+    this.runId = runId || RunCheckpoint.createRunId();
+    this.runDir = path.join(dataDir, 'runs', this.runId);
+    this.checkpointFile = path.join(this.runDir, 'checkpoint.json');
+    this.state = null;
+  }
+
+  static createRunId() {
+    return `run_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  }
+
+  static async resume(dataDir, runId) {
+    const checkpoint = new RunCheckpoint(dataDir, runId);
+    await checkpoint.load();
+    return checkpoint;
+  }
+
+  async create(options = {}) {
+    await fs.mkdir(this.runDir, { recursive: true });
+
+    this.state = {
+      runId: this.runId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      options,
+      stages: {}
+    };
+
+    PIPELINE_STAGES.forEach(stage => {
+      this.state.stages[stage] = {
+        status: 'pending',
+        items: [],
+        progress: {},
+        outputFile: STAGE_OUTPUT_FILES[stage]
+      };
+    });
+
+    await this.save();
+    return this;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.checkpointFile, 'utf8');
+      this.state = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Run ${this.runId} not found or unreadable (${this.checkpointFile}): ${error.message}`);
+    }
+    return this;
+  }
+
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+
+    // Write to a temp file first so a crash mid-write never corrupts the checkpoint
+    const tmpFile = `${this.checkpointFile}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(this.state, null, 2));
+    await fs.rename(tmpFile, this.checkpointFile);
+  }
+
+  get options() {
+    return this.state?.options || {};
+  }
+
+  getStage(stage) {
+    const stageState = this.state?.stages?.[stage];
+    if (!stageState) {
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
+    return stageState;
+  }
+
+  isStageComplete(stage) {
+    const status = this.getStage(stage).status;
+    return status === 'completed' || status === 'skipped';
+  }
+
+  getFirstUnfinishedStage() {
+    return PIPELINE_STAGES.find(stage => !this.isStageComplete(stage)) || null;
+  }
+
+  getItems(stage) {
+    return this.getStage(stage).items;
+  }
+
+  getProgress(stage) {
+    return this.getStage(stage).progress;
+  }
+
+  async startStage(stage) {
+    const stageState = this.getStage(stage);
+    if (stageState.status === 'pending') {
+      stageState.status = 'in_progress';
+      stageState.startedAt = new Date().toISOString();
+      await this.save();
+    }
+  }
+
+  async recordItems(stage, items, progress = {}) {
+    const stageState = this.getStage(stage);
+    stageState.items.push(...items);
+    stageState.progress = { ...stageState.progress, ...progress };
+    await this.save();
+  }
+
+  async completeStage(stage, output) {
+    const stageState = this.getStage(stage);
+    const outputPath = this.getOutputPath(stage);
+
+    await fs.writeFile(outputPath, JSON.stringify(output, null, 2));
+
+    stageState.status = 'completed';
+    stageState.completedAt = new Date().toISOString();
+    stageState.itemCount = Array.isArray(output) ? output.length : undefined;
+    // Partial items are superseded by the output file
+    stageState.items = [];
+    await this.save();
+  }
+
+  async skipStage(stage, reason) {
+    const stageState = this.getStage(stage);
+    stageState.status = 'skipped';
+    stageState.reason = reason;
+    await this.save();
+  }
+
+  async reopenStage(stage) {
+    const stageState = this.getStage(stage);
+    if (stageState.status === 'skipped') {
+      stageState.status = 'pending';
+      delete stageState.reason;
+      await this.save();
+    }
+  }
+
+  getOutputPath(stage) {
+    return path.join(this.runDir, this.getStage(stage).outputFile);
+  }
+
+  async loadStageOutput(stage) {
+    const raw = await fs.readFile(this.getOutputPath(stage), 'utf8');
+    return JSON.parse(raw);
+  }
+
+  getSummary() {
+    return PIPELINE_STAGES.map(stage => {
+      const stageState = this.getStage(stage);
+      return {
+        stage,
+        status: stageState.status,
+        items: stageState.itemCount ?? stageState.items.length
+      };
+    });
+  }
+}
+
+export default RunCheckpoint;
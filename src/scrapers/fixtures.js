@@ -0,0 +1,209 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const FIXTURE_MODE = {
+  REPLAY: 'replay',
+  CAPTURE: 'capture'
+};
+
+const GOOGLE_ORIGIN = 'https://www.google.com';
+
+// Fields compared by `fixtures check`; the Maps URL carries session parameters that change with every visit
+export const COMPARED_FIELDS = [
+  'name', 'address', 'phone', 'website', 'rating', 'reviewCount', 'placeId',
+  'category', 'openingHours', 'latitude', 'longitude', 'priceRange', 'plusCode', 'status', 'claimed', 'attributes'
+];
+
+// "Pizzerías Madrid, Spain" -> "pizzerias-madrid-spain"
+export function getFixtureKey(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 100) || 'index';
+}
+
+export function getSearchFixtureKey(query, location) {
+  return getFixtureKey(location ? `${query} ${location}` : query);
+}
+
+// Key of a place page from its Maps URL (/maps/place/<name>/.../data=...!1s0x...:0x...): branches of
+// a chain share the name, so the feature id goes in too when the URL has it
+export function getPlaceFixtureKey(url, { withFeatureId = true } = {}) {
+  const slug = String(url).match(/place\/([^/?]+)/)?.[1];
+  if (!slug) return null;
+
+  let name;
+  try {
+    name = getFixtureKey(decodeURIComponent(slug.replace(/\+/g, ' ')));
+  } catch (error) {
+    name = getFixtureKey(slug);
+  }
+
+  const featureId = withFeatureId ? String(url).match(/!1s(0x[0-9a-f]+):(0x[0-9a-f]+)/i) : null;
+  return featureId ? `${name}-${featureId[1]}-${featureId[2]}`.toLowerCase() : name;
+}
+
+// Differences between the captured and the replayed results of a search, matched by feature id
+// (or name): [{ name, field, expected, actual }], with field 'missing' or 'unexpected' for whole businesses
+export function compareResults(expected, actual) {
+  const byName = businesses => new Map(businesses.map(business => [
+    business.googleMapsUrl?.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i)?.[1].toLowerCase() || business.name.toLowerCase(),
+    business
+  ]));
+  const expectedByName = byName(expected);
+  const actualByName = byName(actual);
+  const differences = [];
+
+  for (const [key, business] of expectedByName) {
+    const replayed = actualByName.get(key);
+    if (!replayed) {
+      differences.push({ name: business.name, field: 'missing' });
+      continue;
+    }
+
+    // Captures older than a field do not have it: nothing to compare against
+    for (const field of COMPARED_FIELDS.filter(name => name in business)) {
+      if (JSON.stringify(business[field]) !== JSON.stringify(replayed[field])) {
+        differences.push({ name: business.name, field, expected: business[field], actual: replayed[field] });
+      }
+    }
+  }
+
+  for (const [key, business] of actualByName) {
+    if (!expectedByName.has(key)) differences.push({ name: business.name, field: 'unexpected' });
+  }
+
+  return differences;
+}
+
+// A static copy of the rendered page: no scripts (nothing may call Google offline) and
+// Maps links made relative, so they resolve against the fixture server
+export function toSnapshot(html) {
+  return html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/https:\/\/www\.google\.[a-z.]+\/maps\//g, '/maps/');
+}
+
+// Saved list and place pages, laid out as <dir>/search/<key>.html, <dir>/place/<key>.html
+// and <dir>/search/<key>.json (what the live run extracted, for `fixtures check`)
+export class FixtureStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  getPath(kind, key, extension = 'html') {
+    return path.join(this.dir, kind, `${key}.${extension}`);
+  }
+
+  async read(kind, key) {
+    try {
+      return await fs.readFile(this.getPath(kind, key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write(kind, key, html) {
+    const file = this.getPath(kind, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, toSnapshot(html), 'utf8');
+    return file;
+  }
+
+  async writeExpected(key, data) {
+    const file = this.getPath('search', key, 'json');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2), 'utf8');
+    return file;
+  }
+
+  // Every captured search with its expected results
+  async listExpected() {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dir, 'search'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const expected = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const raw = await fs.readFile(path.join(this.dir, 'search', file), 'utf8');
+      expected.push({ key: file.replace(/\.json$/, ''), ...JSON.parse(raw) });
+    }
+    return expected;
+  }
+}
+
+// Serves a FixtureStore on localhost with Maps-like paths, so the engines navigate and
+// click through saved pages exactly as they would on Google Maps
+export class FixtureServer {
+  constructor(dir) {
+    this.store = new FixtureStore(dir);
+    this.server = null;
+    this.url = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    console.log(`Serving Maps fixtures from ${this.store.dir} at ${this.url}`);
+    return this;
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+    let kind = null;
+    let key = null;
+    let fallbackKey = null;
+
+    const searchMatch = pathname.match(/^\/maps\/search\/([^/]+)/);
+    if (searchMatch) {
+      kind = 'search';
+      key = getFixtureKey(decodeURIComponent(searchMatch[1].replace(/\+/g, ' ')));
+    } else if (pathname.startsWith('/maps/place/')) {
+      kind = 'place';
+      key = getPlaceFixtureKey(pathname);
+      // Captures made before place keys had the feature id
+      fallbackKey = getPlaceFixtureKey(pathname, { withFeatureId: false });
+    }
+
+    let html = kind && key ? await this.store.read(kind, key).catch(() => null) : null;
+    if (!html && fallbackKey && fallbackKey !== key) {
+      html = await this.store.read(kind, fallbackKey).catch(() => null);
+    }
+    if (!html) {
+      if (kind) console.log(`No ${kind} fixture for ${pathname} (${this.store.getPath(kind, key || 'index')})`);
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<html><head><title></title></head><body></body></html>');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+
+  // URLs read from served pages, as they were on Google Maps
+  toGoogleUrl(url) {
+    return url && this.url && url.startsWith(this.url) ? GOOGLE_ORIGIN + url.substring(this.url.length) : url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+export default FixtureServer;
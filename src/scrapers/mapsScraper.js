@@ -0,0 +1,391 @@
+import fs from 'fs/promises';
+import delay from 'delay';
+import path from 'path';
+import os from 'os';
+import { hasConsentDialog, clickConsentButton } from './pageFunctions.js';
+import { FixtureServer, FixtureStore, FIXTURE_MODE, getSearchFixtureKey, getPlaceFixtureKey } from './fixtures.js';
+
+const GOOGLE_HOME_URL = 'https://www.google.com/?hl=es&gl=ES';
+const MAPS_SEARCH_URL = 'https://www.google.com/maps/search/';
+const RESULTS_SELECTOR = '[data-result-index], [role="feed"], [role="main"]';
+
+// Icon glyphs (private use area) that Maps puts in front of addresses and phones
+const ICON_GLYPHS = /[\uE000-\uF8FF]/g;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(ICON_GLYPHS, '').replace(/\s+/g, ' ').trim() : '';
+}
+
+function toAbsoluteUrl(href) {
+  if (!href) return '';
+  try {
+    return new URL(href, 'https://www.google.com').toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+// Website links sometimes go through Google's redirector (/url?q=...)
+function unwrapRedirect(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname.endsWith('google.com') && parsed.pathname === '/url') {
+      return parsed.searchParams.get('q') || parsed.searchParams.get('url') || url;
+    }
+  } catch (error) {
+    return url;
+  }
+  return url;
+}
+
+// "4,5" / "4.5" / 4.5 -> 4.5
+function parseRating(value) {
+  const rating = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(rating) ? rating : 0;
+}
+
+// "1.234" / "1,234" / 1234 -> 1234
+function parseCount(value) {
+  const count = parseInt(String(value ?? '').replace(/[.,\s]/g, ''), 10);
+  return Number.isFinite(count) ? count : 0;
+}
+
+function getPlaceSlug(url) {
+  return url.match(/place\/([^/?]+)/)?.[1] || '';
+}
+
+// The place pin (!3d<lat>!4d<lng>) or, failing that, the map centre (@<lat>,<lng>,<zoom>z) of a Maps URL
+function parseCoordinates(url) {
+  const match = url.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/) || url.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+  return match ? { latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) } : { latitude: null, longitude: null };
+}
+
+// Same values as the business_status of the Places API; '' when the page did not say
+function parseStatus(value) {
+  if (typeof value !== 'string' || !value.trim()) return '';
+  if (/permanente|permanently/i.test(value)) return 'CLOSED_PERMANENTLY';
+  if (/temporal|temporarily/i.test(value)) return 'CLOSED_TEMPORARILY';
+  return 'OPERATIONAL';
+}
+
+const SERVICE_ATTRIBUTES = {
+  delivery: /domicilio|delivery/i,
+  takeout: /para llevar|recogida|take ?out|takeaway/i,
+  dineIn: /consumo en el local|dine-in/i,
+  reservations: /reserva/i
+};
+
+// ["Entrega a domicilio", "No acepta reservas"] -> { delivery: true, reservations: false }.
+// Only a negation before the service counts: "Entrega a domicilio sin contacto" is still delivery
+function parseAttributes(labels) {
+  const attributes = {};
+
+  (Array.isArray(labels) ? labels : []).forEach(text => {
+    const label = cleanText(text);
+    const attribute = Object.keys(SERVICE_ATTRIBUTES).find(key => SERVICE_ATTRIBUTES[key].test(label));
+    if (!attribute || attribute in attributes) return;
+    const before = label.substring(0, label.search(SERVICE_ATTRIBUTES[attribute]));
+    attributes[attribute] = !/(^|\s)(no|sin|not|doesn't|does not)(\s|$)/i.test(before);
+  });
+
+  return attributes;
+}
+
+// Same record shape whatever engine or page the data came from
+export function normalizeBusiness(raw = {}) {
+  const googleMapsUrl = toAbsoluteUrl(raw.googleMapsUrl);
+
+  return {
+    name: cleanText(raw.name),
+    address: cleanText(raw.address),
+    phone: cleanText(raw.phone).replace(/^tel:/i, ''),
+    website: unwrapRedirect(toAbsoluteUrl(raw.website)),
+    rating: parseRating(raw.rating),
+    reviewCount: parseCount(raw.reviewCount),
+    placeId: raw.placeId || getPlaceSlug(googleMapsUrl),
+    googleMapsUrl,
+    category: cleanText(raw.category),
+    openingHours: (Array.isArray(raw.openingHours) ? raw.openingHours : []).map(cleanText).filter(Boolean),
+    ...parseCoordinates(googleMapsUrl),
+    priceRange: cleanText(raw.priceRange).replace(/^(precio|price):\s*/i, ''),
+    plusCode: cleanText(raw.plusCode),
+    status: parseStatus(raw.status),
+    claimed: typeof raw.claimed === 'boolean' ? raw.claimed : null,
+    attributes: parseAttributes(raw.attributes)
+  };
+}
+
+// Maps place URLs carry a feature id (!1s0x...:0x...) that tells apart branches with the same name
+export function getBusinessKey(business) {
+  const featureId = business.googleMapsUrl?.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i)?.[1];
+  if (featureId) return featureId.toLowerCase();
+  return `${business.name}|${business.address}`.toLowerCase();
+}
+
+// Google Maps search shared by the browser engines: navigation, consent, normalized and
+// deduplicated results. Engines implement launch(), navigate(url), collectBusinesses()
+// and closeBrowser(), and may override saveSession().
+// With options.fixtures = { mode, dir } the searches run against saved HTML instead
+// (replay) or save the pages they visit (capture), see fixtures.js
+export class MapsScraper {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.headless = options.headless !== false;
+    this.viewport = options.viewport || { width: 1366, height: 768 };
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+    this.maxResults = options.maxResults || 50;
+    this.timeout = options.timeout || 30000;
+    this.persistentCache = options.persistentCache !== false; // Enable by default
+    this.userDataDir = options.userDataDir || path.join(os.tmpdir(), `${engine}-maps-scraper-cache`);
+    this.fixtures = options.fixtures?.mode ? options.fixtures : null;
+    this.fixtureServer = null;
+    this.fixtureStore = null;
+    this.searchKey = null;
+    this.failedPlaces = []; // Places of the last search whose details could not be read
+    this.browser = null;
+    this.page = null;
+  }
+
+  get isReplaying() {
+    return this.fixtures?.mode === FIXTURE_MODE.REPLAY;
+  }
+
+  get isCapturing() {
+    return this.fixtures?.mode === FIXTURE_MODE.CAPTURE;
+  }
+
+  async launch() {
+    throw new Error(`${this.engine} scraper does not implement launch()`);
+  }
+
+  async navigate(url) {
+    throw new Error(`${this.engine} scraper does not implement navigate()`);
+  }
+
+  // Raw business records from the open search results
+  async collectBusinesses() {
+    throw new Error(`${this.engine} scraper does not implement collectBusinesses()`);
+  }
+
+  async closeBrowser() {
+    throw new Error(`${this.engine} scraper does not implement closeBrowser()`);
+  }
+
+  // Persist cookies (e.g. the consent choice) for the next run
+  async saveSession() {}
+
+  async init() {
+    await this.launch();
+
+    if (this.isReplaying) {
+      this.fixtureServer = await new FixtureServer(this.fixtures.dir).start();
+      return;
+    }
+    if (this.isCapturing) {
+      this.fixtureStore = new FixtureStore(this.fixtures.dir);
+    }
+
+    // Visit Google first so consent is settled before the first search
+    console.log('Visiting Google homepage to establish session...');
+    try {
+      await this.navigate(GOOGLE_HOME_URL);
+      await this.handleConsentDialogs();
+    } catch (error) {
+      console.log('Failed to visit Google homepage, continuing anyway:', error.message);
+    }
+  }
+
+  buildSearchUrl(query, location) {
+    const terms = location ? `${encodeURIComponent(query)}+${encodeURIComponent(location)}` : encodeURIComponent(query);
+    if (this.fixtureServer) return `${this.fixtureServer.url}/maps/search/${terms}`;
+    return `${MAPS_SEARCH_URL}${terms}?hl=es&gl=ES`;
+  }
+
+  async openSearch(query, location) {
+    const searchUrl = this.buildSearchUrl(query, location);
+    this.searchKey = getSearchFixtureKey(query, location);
+    console.log(`Searching (${this.engine}): ${searchUrl}`);
+
+    try {
+      await this.navigate(searchUrl);
+    } catch (error) {
+      // A slow load often still renders the results: retry once before giving up
+      console.log(`Navigation failed (${error.message}), retrying...`);
+      await this.navigate(searchUrl);
+    }
+
+    try {
+      await this.page.waitForSelector(RESULTS_SELECTOR, { timeout: 10000 });
+    } catch (error) {
+      console.log('Search results took longer to load, continuing anyway...');
+    }
+
+    await this.handleConsentDialogs();
+  }
+
+  async isConsentShowing() {
+    try {
+      return await this.page.evaluate(hasConsentDialog);
+    } catch (error) {
+      // The page was navigating (e.g. away from the consent page): look again once it settles
+      await delay(1000);
+      try {
+        return await this.page.evaluate(hasConsentDialog);
+      } catch (retryError) {
+        return false;
+      }
+    }
+  }
+
+  // Returns true if a consent wall was found and dismissed
+  async handleConsentDialogs() {
+    if (!(await this.isConsentShowing())) {
+      return false;
+    }
+
+    console.log('Consent dialog found, accepting...');
+
+    try {
+      const clicked = await this.page.evaluate(clickConsentButton);
+      if (clicked) {
+        console.log(`Clicked consent button: "${clicked}"`);
+        await delay(2000);
+        if (!(await this.isConsentShowing())) {
+          await this.saveSession();
+          return true;
+        }
+      }
+    } catch (error) {
+      console.log('Clicking the consent button failed:', error.message);
+    }
+
+    // Keyboard fallback: focus the dialog, then Tab to the accept button
+    const centerX = this.viewport.width / 2;
+    const centerY = this.viewport.height / 2;
+
+    for (const tabCount of [3, 2, 4, 1]) {
+      try {
+        await this.page.mouse.click(centerX, centerY);
+        await delay(300);
+
+        for (let i = 0; i < tabCount; i++) {
+          await this.page.keyboard.press('Tab');
+          await delay(200);
+        }
+        await this.page.keyboard.press('Enter');
+        await delay(1500);
+
+        if (!(await this.isConsentShowing())) {
+          console.log(`Consent dialog handled via ${tabCount} tabs + Enter`);
+          await this.saveSession();
+          return true;
+        }
+      } catch (error) {
+        console.log(`Keyboard strategy (${tabCount} tabs) failed:`, error.message);
+      }
+    }
+
+    console.log('Could not dismiss the consent dialog');
+    return false;
+  }
+
+  // Adds the businesses not seen yet; returns how many were new
+  mergeBusinesses(businesses, rawBusinesses, seen = new Set(businesses.map(getBusinessKey))) {
+    let added = 0;
+
+    for (const raw of rawBusinesses) {
+      const business = normalizeBusiness(raw);
+      if (!business.name) continue;
+
+      const key = getBusinessKey(business);
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      businesses.push(business);
+      added++;
+    }
+
+    return added;
+  }
+
+  async searchBusinesses(query, location) {
+    if (!this.page) await this.init();
+
+    this.failedPlaces = [];
+    await this.openSearch(query, location);
+
+    let businesses = [];
+    this.mergeBusinesses(businesses, await this.collectBusinesses());
+    businesses = businesses.slice(0, this.maxResults);
+
+    if (this.fixtureServer) {
+      businesses.forEach(business => {
+        business.googleMapsUrl = this.fixtureServer.toGoogleUrl(business.googleMapsUrl);
+      });
+    }
+
+    if (this.fixtureStore) {
+      const file = await this.fixtureStore.writeExpected(this.searchKey, {
+        query,
+        location: location || null,
+        engine: this.engine,
+        capturedAt: new Date().toISOString(),
+        businesses
+      });
+      console.log(`Expected results saved to ${file}`);
+    }
+
+    console.log(`Found ${businesses.length} businesses`);
+    return businesses;
+  }
+
+  // Saves the current page when capturing: the results list ('search') once it is fully
+  // loaded, or a place panel ('place') keyed by its Maps URL
+  async captureSnapshot(kind, url = null, page = this.page) {
+    if (!this.fixtureStore) return;
+
+    const key = kind === 'place' ? getPlaceFixtureKey(url || page.url()) : this.searchKey;
+    if (!key) return;
+
+    try {
+      const file = await this.fixtureStore.write(kind, key, await page.content());
+      console.log(`Saved ${kind} fixture: ${file}`);
+    } catch (error) {
+      console.log(`Could not save ${kind} fixture:`, error.message);
+    }
+  }
+
+  async close() {
+    if (this.fixtureServer) {
+      await this.fixtureServer.stop();
+      this.fixtureServer = null;
+    }
+
+    if (!this.browser) return;
+
+    await this.saveSession();
+    await this.closeBrowser();
+    this.browser = null;
+    this.page = null;
+  }
+
+  async saveToFile(data, filename) {
+    const jsonData = JSON.stringify(data, null, 2);
+    await fs.writeFile(filename, jsonData, 'utf8');
+    console.log(`Data saved to ${filename}`);
+  }
+
+  async clearCache() {
+    if (this.persistentCache) {
+      try {
+        await fs.rm(this.userDataDir, { recursive: true, force: true });
+        console.log(`Cache cleared at: ${this.userDataDir}`);
+      } catch (error) {
+        console.log(`Could not clear cache: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default MapsScraper;
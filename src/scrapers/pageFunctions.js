@@ -0,0 +1,267 @@
+// Functions that run inside the browser page through page.evaluate(). Puppeteer and
+// Playwright both serialize them, so they must be self-contained: no imports, no closures
+
+// A consent wall (dialog or Google's consent page) is in the way
+export function hasConsentDialog() {
+  const isVisible = element => Boolean(element && element.offsetParent !== null);
+
+  if (window.location.hostname.startsWith('consent.')) return true;
+  if (isVisible(document.querySelector('#L2AGLb, button[jsname="b3VHJd"]'))) return true;
+
+  return Array.from(document.querySelectorAll('[role="dialog"], [aria-modal="true"]'))
+    .some(dialog => isVisible(dialog) && /cookies|consent|aceptar|accept|privacidad|privacy/i.test(dialog.textContent || ''));
+}
+
+// Clicks the most likely "accept" button; returns its label, or false if none was found
+export function clickConsentButton() {
+  const isVisible = element => Boolean(element && element.offsetParent !== null);
+  const label = element => `${element.textContent || ''} ${element.getAttribute('aria-label') || ''}`.toLowerCase().replace(/\s+/g, ' ').trim();
+  const click = element => {
+    element.click();
+    return label(element).substring(0, 60) || true;
+  };
+
+  // Google's own consent buttons
+  for (const selector of ['#L2AGLb', 'button[jsname="b3VHJd"]', '[data-testid="accept-all"]', 'button[data-action="accept"]']) {
+    const button = document.querySelector(selector);
+    if (isVisible(button)) return click(button);
+  }
+
+  const buttons = Array.from(document.querySelectorAll('button, [role="button"]')).filter(isVisible);
+  const acceptAll = buttons.find(button => /aceptar todo|accept all|tout accepter|alle akzeptieren|accetta tutto/.test(label(button)));
+  if (acceptAll) return click(acceptAll);
+
+  const dialogs = Array.from(document.querySelectorAll('[role="dialog"], [aria-modal="true"], .modal')).filter(isVisible);
+  for (const dialog of dialogs) {
+    const dialogButtons = Array.from(dialog.querySelectorAll('button')).filter(isVisible);
+
+    const accept = dialogButtons.find(button => /acepto|aceptar|accept|i agree|estoy de acuerdo/.test(label(button))
+      || /^(ok|sí|si|yes)$/.test((button.textContent || '').toLowerCase().trim()));
+    if (accept) return click(accept);
+
+    // Primary (blue) buttons are usually the accept action
+    const primary = dialogButtons.find(button => {
+      const background = window.getComputedStyle(button).backgroundColor;
+      return background === 'rgb(26, 115, 232)' || background === 'rgb(66, 133, 244)'
+        || button.classList.contains('primary') || button.classList.contains('btn-primary');
+    });
+    if (primary) return click(primary);
+
+    // Last resort: the last button, usually "accept"
+    if (dialogButtons.length > 0) return click(dialogButtons[dialogButtons.length - 1]);
+  }
+
+  return false;
+}
+
+// Business cards of the results list, as shown (without opening each place)
+export function extractResultCards() {
+  const results = [];
+
+  document.querySelectorAll('[data-result-index]').forEach(element => {
+    const name = element.querySelector('[role="button"] span')?.textContent?.trim();
+    if (!name) return;
+
+    const ratingText = element.querySelector('[role="img"][aria-label*="star"]')?.getAttribute('aria-label') || '';
+    const reviewCountMatch = ratingText.match(/(\d+(?:[.,]\d+)*)\s+review/);
+    const link = element.querySelector('a[href*="place/"]');
+
+    // Card lines such as "Pizzería · €€ · Calle Mayor, 1" and "Consumo en el local · Para llevar";
+    // buttons ("Reservar mesa", "Pedir online") are actions, not service options
+    const actions = Array.from(element.querySelectorAll('a, button')).map(action => (action.innerText || '').trim());
+    const lines = (element.innerText || '').split('\n').map(line => line.trim()).filter(line => line && !actions.includes(line));
+    const tokens = lines.flatMap(line => line.split('·').map(token => token.trim())).filter(Boolean);
+    const detailLine = lines.find(line => line !== name && line.includes('·') && !/^\d/.test(line)) || '';
+    const category = detailLine.split('·')[0].trim();
+    const priceLabel = element.querySelector('[aria-label*="Precio" i], [aria-label*="Price" i]')?.getAttribute('aria-label') || '';
+
+    results.push({
+      name,
+      address: element.querySelector('[data-value="Address"]')?.textContent || '',
+      phone: element.querySelector('[data-value="Phone number"]')?.textContent || '',
+      website: element.querySelector('[data-value="Website"]')?.getAttribute('href') || '',
+      rating: ratingText.match(/(\d+[.,]?\d*)/)?.[1] || 0,
+      reviewCount: reviewCountMatch ? reviewCountMatch[1] : 0,
+      category: /\d/.test(category) ? '' : category,
+      priceRange: priceLabel || tokens.find(token => /^[€$]{1,4}$|^\d+\s*[-–]\s*\d+\s*€$/.test(token)) || '',
+      status: lines.find(line => /cerrado (temporal|permanente)|(temporarily|permanently) closed/i.test(line)) || '',
+      // Cards rarely show the weekly hours, plus code or claim link: empty (null) unless they do
+      openingHours: Array.from(element.querySelectorAll('table tr'))
+        .map(row => Array.from(row.querySelectorAll('td')).map(cell => (cell.innerText || cell.textContent || '').trim()))
+        .filter(cells => cells.length >= 2 && /^(lunes|martes|miércoles|jueves|viernes|sábado|domingo|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i.test(cells[0]))
+        .map(cells => `${cells[0]}: ${cells[1].split('\n').map(part => part.trim()).filter(Boolean).join(', ')}`),
+      plusCode: element.querySelector('[data-item-id="oloc"]')?.textContent || '',
+      claimed: Array.from(element.querySelectorAll('a, button'))
+        .some(action => /reclamar (esta empresa|este negocio)|claim this business/i.test(`${action.textContent || ''} ${action.getAttribute('aria-label') || ''}`))
+        ? false
+        : null,
+      attributes: tokens.filter(token => token.length < 60
+        && /domicilio|delivery|para llevar|recogida|take ?out|takeaway|consumo en el local|dine-in|reserva/i.test(token)),
+      googleMapsUrl: link?.getAttribute('href') || ''
+    });
+  });
+
+  return results;
+}
+
+// The place currently open in the details panel, or null if none is
+export function extractPlaceDetails() {
+  const nameSelectors = [
+    'h1.DUwDvf',
+    'h1[data-attrid="title"]',
+    '.x3AX1-LfntMc-header-title-title',
+    '.fontHeadlineLarge',
+    '[data-attrid="kc:/location/location:name"]',
+    'h1'
+  ];
+
+  let name = '';
+  for (const selector of nameSelectors) {
+    const text = document.querySelector(selector)?.textContent?.trim();
+    if (text) {
+      name = text;
+      break;
+    }
+  }
+
+  // Fallbacks: page title, then the place URL
+  if (!name) {
+    name = (document.title || '').match(/^(.+?)\s*-\s*Google Maps/)?.[1]?.trim() || '';
+  }
+  if (!name) {
+    const urlMatch = window.location.href.match(/place\/([^/?]+)/);
+    if (urlMatch) name = decodeURIComponent(urlMatch[1].replace(/\+/g, ' '));
+  }
+
+  if (!name || name.toLowerCase() === 'resultados') return null;
+
+  const itemButton = prefix => Array.from(document.querySelectorAll('button, a'))
+    .find(element => (element.getAttribute('data-item-id') || '').startsWith(prefix));
+  const label = element => `${element.textContent || ''} ${element.getAttribute('aria-label') || ''}`;
+
+  // Phone: prefer tel links
+  let phone = document.querySelector('a[href^="tel:"]')?.getAttribute('href') || '';
+  if (!phone) {
+    const itemId = itemButton('phone:tel:')?.getAttribute('data-item-id') || '';
+    phone = itemId.substring('phone:tel:'.length);
+  }
+
+  let address = itemButton('address')?.textContent || '';
+  if (!address) {
+    address = document.querySelector('[data-attrid="kc:/location/location:address"], .Io6YTe')?.textContent || '';
+  }
+
+  const website = document.querySelector('a[data-item-id^="authority"], a[aria-label*="Sitio web" i], a[aria-label*="Website" i]')?.getAttribute('href') || '';
+
+  let rating = 0;
+  let reviewCount = 0;
+  const ratingText = document.querySelector('[aria-label*="estrellas" i], [aria-label*="stars" i], [data-attrid="kc:/location/location:rating"]')?.textContent?.trim() || '';
+  const ratingMatch = ratingText.match(/(\d+[.,]\d+)/);
+  if (ratingMatch) rating = ratingMatch[1];
+  const countMatch = ratingText.match(/\((\d+(?:[.,]\d+)*)\)/);
+  if (countMatch) reviewCount = countMatch[1];
+
+  const main = document.querySelector('[role="main"]') || document.body;
+  const category = document.querySelector('button[jsaction*="category"], .DkEaL')?.textContent || '';
+
+  // "€€", "10-20 €" or an aria-label like "Precio: moderado"
+  const priceElement = document.querySelector('span[aria-label^="Precio" i], span[aria-label^="Price" i]');
+  const priceRange = priceElement
+    ? (/[€$\d]/.test(priceElement.textContent || '') ? priceElement.textContent : priceElement.getAttribute('aria-label'))
+    : '';
+
+  const plusCode = itemButton('oloc')?.textContent || '';
+
+  // Weekly hours table, one row per day ("lunes" | "9:00–14:00, 17:00–20:00")
+  const weekday = /^(lunes|martes|miércoles|jueves|viernes|sábado|domingo|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i;
+  const openingHours = [];
+  main.querySelectorAll('table tr').forEach(row => {
+    const cells = row.querySelectorAll('td');
+    const day = (cells[0]?.textContent || '').trim();
+    if (cells.length < 2 || !weekday.test(day)) return;
+
+    const hours = cells[1].getAttribute('aria-label') || cells[1].innerText || cells[1].textContent || '';
+    openingHours.push(`${day.match(weekday)[1]}: ${hours.split('\n').map(part => part.trim()).filter(Boolean).join(', ')}`);
+  });
+
+  // Unclaimed listings offer "Reclamar esta empresa" / "Claim this business" in the info list
+  // (address, phone, website...). Without that list on the page we cannot tell either way
+  const hasClaimLink = Array.from(main.querySelectorAll('a, button'))
+    .some(element => /reclamar (esta empresa|este negocio)|claim this business|¿es tu (empresa|negocio)\?/i.test(label(element)));
+  const infoSection = main.querySelector('[role="region"][aria-label^="Información" i], [role="region"][aria-label^="Information" i]')
+    || itemButton('address')?.closest('[role="region"]');
+  const claimed = hasClaimLink ? false : (infoSection ? true : null);
+
+  // The closed notice sits in the header, above the reviews that could mention it too. A fully
+  // loaded place without one is open; anything less says nothing either way
+  const headerText = (main.innerText || main.textContent || '').substring(0, 1500);
+  const closedNotice = headerText.match(/cerrado (temporalmente|permanentemente)|(temporarily|permanently) closed/i)?.[0];
+  const status = closedNotice || (infoSection ? 'OPERATIONAL' : '');
+
+  // Service options ("Entrega a domicilio", "Para llevar", "No acepta reservas"...), read only from
+  // the About tab and the service options row: buttons such as "Reservar mesa" and review
+  // snippets elsewhere on the page mention the same words
+  const attributeSections = Array.from(main.querySelectorAll(
+    '[role="region"][aria-label^="Acerca de" i], [role="region"][aria-label^="About" i], '
+    + '[aria-label^="Opciones de servicio" i], [aria-label^="Service options" i]'
+  ));
+  const attributes = [];
+  attributeSections.forEach(section => {
+    section.querySelectorAll('[aria-label], li').forEach(element => {
+      if (element.closest('a, button')) return;
+
+      const text = (element.getAttribute('aria-label') || element.textContent || '').replace(/\s+/g, ' ').trim();
+      if (text.length < 60 && !attributes.includes(text)
+        && /domicilio|delivery|para llevar|recogida|take ?out|takeaway|consumo en el local|dine-in|reserva/i.test(text)) {
+        attributes.push(text);
+      }
+    });
+  });
+
+  return {
+    name,
+    address,
+    phone,
+    website,
+    rating,
+    reviewCount,
+    category,
+    openingHours,
+    priceRange,
+    plusCode,
+    status,
+    claimed,
+    attributes,
+    googleMapsUrl: window.location.href
+  };
+}
+
+// Maps shows "Has llegado al final de la lista" once the results feed has nothing more to load
+export function isEndOfResultsList() {
+  if (document.querySelector('.HlvSq')) return true;
+
+  const feed = document.querySelector('[role="feed"]');
+  return /final de la lista|end of the list/i.test(feed?.lastElementChild?.textContent || '');
+}
+
+// Place links of the results list: [{ name, url }], with absolute URLs
+export function extractPlaceLinks() {
+  const links = [];
+  const seen = new Set();
+
+  document.querySelectorAll('a[href*="/maps/place/"]').forEach(link => {
+    const url = link.href;
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+
+    let name = (link.getAttribute('aria-label') || link.textContent || '').trim();
+    if (!name) {
+      const urlMatch = url.match(/place\/([^/?]+)/);
+      if (urlMatch) name = decodeURIComponent(urlMatch[1].replace(/\+/g, ' '));
+    }
+
+    links.push({ name, url });
+  });
+
+  return links;
+}
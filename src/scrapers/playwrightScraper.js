@@ -0,0 +1,206 @@
+import { chromium } from 'playwright';
+import fs from 'fs/promises';
+import delay from 'delay';
+import path from 'path';
+import { MapsScraper, getBusinessKey } from './mapsScraper.js';
+import { extractPlaceDetails, extractPlaceLinks, isEndOfResultsList } from './pageFunctions.js';
+
+// Playwright engine: gathers the place URLs of the results list, then opens each place
+// page directly and reads its details
+export class PlaywrightGoogleMapsScraper extends MapsScraper {
+  constructor(options = {}) {
+    super('playwright', options);
+    this.detailConcurrency = Math.max(1, options.detailConcurrency || 1);
+    this.detailRetries = options.detailRetries ?? 2;
+    this.context = null;
+  }
+
+  get storageStatePath() {
+    return path.join(this.userDataDir, 'storage-state.json');
+  }
+
+  async launch() {
+    this.browser = await chromium.launch({
+      headless: this.headless,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--lang=es-ES',
+        '--disable-blink-features=AutomationControlled'
+      ]
+    });
+
+    const contextOptions = {
+      viewport: this.viewport,
+      userAgent: this.userAgent,
+      locale: 'es-ES',
+      geolocation: { longitude: -3.7038, latitude: 40.4168 }, // Madrid coordinates
+      permissions: ['geolocation'],
+      extraHTTPHeaders: {
+        'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8'
+      }
+    };
+
+    // Cookies and local storage from the last run (e.g. the consent choice)
+    if (this.persistentCache) {
+      await fs.mkdir(this.userDataDir, { recursive: true });
+      console.log(`Using persistent cache at: ${this.userDataDir}`);
+
+      try {
+        contextOptions.storageState = JSON.parse(await fs.readFile(this.storageStatePath, 'utf8'));
+        console.log('Loaded existing storage state');
+      } catch (error) {
+        console.log('No existing storage state found, will create new one');
+      }
+    }
+
+    this.context = await this.browser.newContext(contextOptions);
+    this.page = await this.context.newPage();
+
+    // Anti-detection measures
+    await this.page.addInitScript(() => {
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => undefined,
+      });
+
+      // Remove automation indicators
+      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Array;
+      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Promise;
+      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Symbol;
+    });
+  }
+
+  async navigate(url) {
+    await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+    await delay(3000);
+  }
+
+  async saveSession() {
+    if (!this.persistentCache || !this.context) return;
+
+    try {
+      await this.context.storageState({ path: this.storageStatePath });
+      console.log('Storage state saved successfully');
+    } catch (error) {
+      console.log('Could not save storage state:', error.message);
+    }
+  }
+
+  async collectBusinesses() {
+    const places = await this.collectPlaceLinks();
+    console.log(`Collected ${places.length} place URLs, reading details...`);
+    return this.visitPlaces(places);
+  }
+
+  // List phase: scroll the feed and gather place URLs without leaving the list, until there
+  // are enough, the end of the list shows up or scrolling stops bringing new places
+  async collectPlaceLinks() {
+    const places = [];
+    const seen = new Set();
+    let stableCount = 0;
+
+    while (places.length < this.maxResults && stableCount < 3) {
+      let added = 0;
+      for (const place of await this.page.evaluate(extractPlaceLinks)) {
+        const key = getBusinessKey({ name: place.name, address: '', googleMapsUrl: place.url });
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        places.push(place);
+        added++;
+      }
+
+      console.log(`Found ${places.length} places so far...`);
+
+      if (places.length >= this.maxResults) break;
+      if (await this.page.evaluate(isEndOfResultsList)) {
+        console.log('Reached the end of the results list');
+        break;
+      }
+
+      await this.scrollResultsFeed();
+      stableCount = added === 0 ? stableCount + 1 : 0;
+    }
+
+    await this.captureSnapshot('search');
+    return places.slice(0, this.maxResults);
+  }
+
+  async scrollResultsFeed() {
+    await this.page.evaluate(() => {
+      const scrollableDiv = document.querySelector('[role="feed"]') || document.querySelector('[role="main"]');
+      if (scrollableDiv) {
+        scrollableDiv.scrollTop = scrollableDiv.scrollHeight;
+      } else {
+        window.scrollTo(0, document.body.scrollHeight);
+      }
+    });
+    await delay(3000);
+  }
+
+  // Detail phase: open each place URL in up to detailConcurrency pages; results keep the list order
+  async visitPlaces(places) {
+    const details = new Array(places.length).fill(null);
+    const pages = [this.page];
+    let next = 0;
+
+    try {
+      for (let i = 1; i < Math.min(this.detailConcurrency, places.length); i++) {
+        pages.push(await this.context.newPage());
+      }
+
+      await Promise.all(pages.map(async page => {
+        while (next < places.length) {
+          const index = next++;
+          details[index] = await this.readPlace(page, places[index], index + 1, places.length);
+        }
+      }));
+    } finally {
+      await Promise.all(pages.slice(1).map(page => page.close().catch(() => {})));
+    }
+
+    return details.filter(Boolean);
+  }
+
+  // Details of one place, retried on failure; places that never load end up in failedPlaces
+  async readPlace(page, place, position, total) {
+    const attempts = this.detailRetries + 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        console.log(`Processing business ${position}/${total}: ${place.name}${attempt > 1 ? ` (attempt ${attempt}/${attempts})` : ''}`);
+
+        await page.goto(place.url, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+        await page.waitForSelector('h1', { timeout: 10000 }).catch(() => {});
+        await delay(1000);
+
+        const details = await page.evaluate(extractPlaceDetails);
+        if (!details) throw new Error('No place details on the page');
+
+        console.log(`✅ Extracted details for: ${details.name}`);
+        // Keyed by the link replay will request, which always carries the feature id
+        await this.captureSnapshot('place', place.url, page);
+        return details;
+      } catch (error) {
+        lastError = error;
+        console.log(`❌ Error processing business ${position}:`, error.message);
+        if (attempt < attempts) await delay(2000 * attempt);
+      }
+    }
+
+    this.failedPlaces.push({ name: place.name, url: place.url, attempts, error: lastError.message });
+    return null;
+  }
+
+  async closeBrowser() {
+    if (this.context) {
+      await this.context.close();
+      this.context = null;
+    }
+    await this.browser.close();
+  }
+}
+
+export default PlaywrightGoogleMapsScraper;
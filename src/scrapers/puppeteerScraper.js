@@ -0,0 +1,147 @@
+import puppeteer from 'puppeteer';
+import delay from 'delay';
+import path from 'path';
+import os from 'os';
+import { MapsScraper, normalizeBusiness, getBusinessKey } from './mapsScraper.js';
+import { extractResultCards } from './pageFunctions.js';
+
+// Puppeteer engine: scrolls the results list and reads the business cards in place
+export class GoogleMapsScraper extends MapsScraper {
+  constructor(options = {}) {
+    super('puppeteer', options);
+    // Keep the cache directory earlier versions created, so the consent cookies survive
+    this.userDataDir = options.userDataDir || path.join(os.tmpdir(), 'google-maps-scraper-cache');
+  }
+
+  async launch() {
+    const launchOptions = {
+      headless: this.headless,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--single-process',
+        '--disable-gpu',
+        '--lang=es-ES',
+        '--no-default-browser-check',
+        '--disable-default-apps',
+        '--disable-features=VizDisplayCompositor',
+        '--disable-extensions',
+        '--disable-plugins',
+        '--disable-images',
+        '--disable-javascript-harmony-shipping',
+        '--disable-background-timer-throttling',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-renderer-backgrounding',
+        '--disable-features=TranslateUI',
+        '--disable-ipc-flooding-protection',
+        '--enable-features=NetworkService,NetworkServiceLogging',
+        '--force-color-profile=srgb',
+        '--metrics-recording-only',
+        '--use-mock-keychain',
+        '--disable-component-extensions-with-background-pages',
+        '--disable-background-networking',
+        '--disable-sync',
+        '--disable-features=Translate,OptimizationHints,MediaRouter,DialMediaRouteProvider',
+        '--disable-component-update',
+        '--disable-default-apps',
+        '--disable-domain-reliability',
+        '--disable-background-downloads',
+        '--disable-add-to-shelf',
+        '--disable-client-side-phishing-detection',
+        '--disable-datasaver-prompt',
+        '--disable-device-discovery-notifications',
+        '--disable-domain-reliability',
+        '--disable-features=AudioServiceOutOfProcess,IPH_PasswordsAccountStorageFeature,IPH_ProfileSwitchFeature,IPH_ReadingListDiscoveryFeature,IPH_ReadingListEntryPointFeature,IPH_ReadingListInSidePanelFeature,IPH_SideSearchFeature,IPH_TabGroupsFeature,IPH_WebUITabStripFeature,OptimizationHints,OptimizationHintsFetching,OptimizationTargetPrediction',
+        '--aggressive-cache-discard',
+        '--enable-automation',
+        '--password-store=basic',
+        '--use-mock-keychain'
+      ]
+    };
+
+    // Add persistent user data directory if enabled
+    if (this.persistentCache) {
+      launchOptions.userDataDir = this.userDataDir;
+      console.log(`Using persistent cache at: ${this.userDataDir}`);
+    }
+
+    this.browser = await puppeteer.launch(launchOptions);
+
+    // Close any default blank tabs that might have opened
+    const pages = await this.browser.pages();
+    for (const page of pages) {
+      if (page.url() === 'about:blank' || page.url() === '') {
+        await page.close();
+      }
+    }
+
+    this.page = await this.browser.newPage();
+    await this.page.setViewport(this.viewport);
+    await this.page.setUserAgent(this.userAgent);
+
+    // Headers of a regular Spanish user
+    await this.page.setExtraHTTPHeaders({
+      'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8',
+      'DNT': '1',
+      'Upgrade-Insecure-Requests': '1'
+    });
+
+    // Bring this page to front to ensure focus
+    await this.page.bringToFront();
+  }
+
+  async navigate(url) {
+    await this.page.goto(url, { waitUntil: 'networkidle2', timeout: this.timeout });
+    await delay(3000);
+  }
+
+  // Raw cards, like every engine's collectBusinesses(): searchBusinesses normalizes them once
+  async collectBusinesses() {
+    const cards = new Map();
+    let stableCount = 0;
+
+    while (cards.size < this.maxResults && stableCount < 3) {
+      // Policy dialogs can show up again while scrolling
+      await this.handleConsentDialogs();
+
+      // Scroll to load more results
+      await this.page.evaluate(() => {
+        const scrollableDiv = document.querySelector('[role="main"]');
+        if (scrollableDiv) {
+          scrollableDiv.scrollTop = scrollableDiv.scrollHeight;
+        }
+      });
+      await delay(2000);
+
+      let added = 0;
+      for (const card of await this.page.evaluate(extractResultCards)) {
+        // Normalized only to tell cards apart
+        const business = normalizeBusiness(card);
+        const key = getBusinessKey(business);
+        if (!business.name || cards.has(key)) continue;
+
+        cards.set(key, card);
+        added++;
+      }
+      console.log(`Found ${cards.size} businesses so far...`);
+
+      // Stop once scrolling no longer brings new results
+      stableCount = added === 0 ? stableCount + 1 : 0;
+
+      await delay(1000);
+    }
+
+    await this.captureSnapshot('search');
+    return [...cards.values()];
+  }
+
+  async closeBrowser() {
+    await this.browser.close();
+  }
+}
+
+export default GoogleMapsScraper;
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import delay from 'delay';
+import { withFileLock } from './fileLock.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rolling hourly/daily send windows persisted on disk, so limits hold across processes
+export class SendQuota {
+  constructor(filename, options = {}) {
+    this.filename = filename;
+    this.maxPerHour = options.maxPerHour || 50;
+    this.maxPerDay = options.maxPerDay || 200;
+    this.sends = [];
+  }
+
+  async load() {
+    if (!this.filename) return this;
+
+    try {
+      const raw = await fs.readFile(this.filename, 'utf8');
+      const data = JSON.parse(raw);
+      this.sends = data.sends || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read send quota ${this.filename}: ${error.message}`);
+      }
+      this.sends = [];
+    }
+
+    this.prune();
+    return this;
+  }
+
+  async save() {
+    if (!this.filename) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    const tmpFile = `${this.filename}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ sends: this.sends }, null, 2));
+    await fs.rename(tmpFile, this.filename);
+  }
+
+  prune(now = Date.now()) {
+    this.sends = this.sends.filter(timestamp => now - new Date(timestamp).getTime() < DAY_MS);
+  }
+
+  // Load-modify-save of the file under its lock (in-memory quotas need none)
+  locked(fn) {
+    return this.filename ? withFileLock(this.filename, fn) : fn();
+  }
+
+  // Records a send that does not wait for a slot (e.g. replies); it still counts towards the limits
+  async record(timestamp = new Date().toISOString()) {
+    await this.locked(async () => {
+      // Reload first: another process may have sent since we last looked
+      await this.load();
+      this.sends.push(timestamp);
+      await this.save();
+    });
+  }
+
+  // Checks for a free slot and takes it in one locked load-modify-save, so two processes
+  // cannot both pass the check before either records its send.
+  // Returns { acquired: true, timestamp } or { acquired: false, wait }
+  async tryAcquire(timestamp = new Date().toISOString()) {
+    return this.locked(async () => {
+      await this.load();
+      const wait = this.getWaitTime(new Date(timestamp).getTime());
+      if (wait > 0) return { acquired: false, wait };
+
+      this.sends.push(timestamp);
+      await this.save();
+      return { acquired: true, timestamp };
+    });
+  }
+
+  // Gives back a slot whose message never went out
+  async release(timestamp) {
+    await this.locked(async () => {
+      await this.load();
+      const index = this.sends.indexOf(timestamp);
+      if (index < 0) return;
+
+      this.sends.splice(index, 1);
+      await this.save();
+    });
+  }
+
+  getUsage(now = Date.now()) {
+    this.prune(now);
+
+    const sentLastHour = this.sends.filter(timestamp => now - new Date(timestamp).getTime() < HOUR_MS).length;
+    const sentLastDay = this.sends.length;
+
+    return {
+      sentLastHour,
+      sentLastDay,
+      remainingHourly: Math.max(0, this.maxPerHour - sentLastHour),
+      remainingDaily: Math.max(0, this.maxPerDay - sentLastDay)
+    };
+  }
+
+  // Milliseconds until one more message may be sent (0 if a slot is free now)
+  getWaitTime(now = Date.now()) {
+    const usage = this.getUsage(now);
+    const timestamps = this.sends.map(timestamp => new Date(timestamp).getTime()).sort((a, b) => a - b);
+    let wait = 0;
+
+    if (usage.remainingHourly === 0) {
+      const inLastHour = timestamps.filter(time => now - time < HOUR_MS);
+      // The slot frees when enough old sends fall out of the window
+      const freeingSend = inLastHour[inLastHour.length - this.maxPerHour];
+      wait = Math.max(wait, freeingSend + HOUR_MS - now);
+    }
+
+    if (usage.remainingDaily === 0) {
+      const freeingSend = timestamps[timestamps.length - this.maxPerDay];
+      wait = Math.max(wait, freeingSend + DAY_MS - now);
+    }
+
+    return Math.max(0, wait);
+  }
+
+  // Pauses (rather than fails) until a slot is free, then takes it; returns the slot's timestamp
+  async acquire() {
+    while (true) {
+      const slot = await this.tryAcquire();
+      if (slot.acquired) return slot.timestamp;
+
+      const usage = this.getUsage();
+      const limit = usage.remainingDaily === 0 ? `daily (${this.maxPerDay})` : `hourly (${this.maxPerHour})`;
+      console.log(`Send quota ${limit} reached. Pausing ${Math.ceil(slot.wait / 60000)} min until a slot frees up...`);
+
+      // Add a small margin so the oldest send has really left the window
+      await delay(slot.wait + 1000);
+    }
+  }
+}
+
+export default SendQuota;
@@ -0,0 +1,229 @@
+const DAY_INDEX = {
+  sun: 0, sunday: 0, dom: 0, domingo: 0,
+  mon: 1, monday: 1, lun: 1, lunes: 1,
+  tue: 2, tuesday: 2, mar: 2, martes: 2,
+  wed: 3, wednesday: 3, mie: 3, miercoles: 3,
+  thu: 4, thursday: 4, jue: 4, jueves: 4,
+  fri: 5, friday: 5, vie: 5, viernes: 5,
+  sat: 6, saturday: 6, sab: 6, sabado: 6
+};
+
+const STEP_MINUTES = 5;
+const MAX_LOOKAHEAD_DAYS = 8;
+
+// Place types whose peak hours should be avoided, per peak-hours category
+const PEAK_CATEGORY_TYPES = {
+  restaurant: ['restaurant', 'food', 'meal_takeaway', 'meal_delivery', 'bar', 'cafe', 'bakery']
+};
+
+function normalizeWord(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z]/g, '');
+}
+
+function parseDay(text) {
+  const day = DAY_INDEX[normalizeWord(text)];
+  if (day === undefined) {
+    throw new Error(`Unknown day in sending window: "${text}"`);
+  }
+  return day;
+}
+
+// "9:30" / "9:30 PM" / "21h" -> minutes since midnight
+function parseTime(text, fallbackPeriod = null) {
+  const match = text.trim().match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*(a\.?\s?m\.?|p\.?\s?m\.?)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  const period = match[3] ? match[3].replace(/[^ap]/gi, '').toLowerCase() : fallbackPeriod;
+
+  if (period === 'p' && hours < 12) hours += 12;
+  if (period === 'a' && hours === 12) hours = 0;
+
+  return hours * 60 + minutes;
+}
+
+// "10:00-13:00,16:30-19:00" -> [[600, 780], [990, 1140]]
+export function parseTimeRanges(text) {
+  if (!text) return [];
+
+  return text.split(',').map(range => range.trim()).map(range => {
+    const [start, end] = range.split('-').map(part => parseTime(part));
+    if (start === null || end === null || start === undefined || end === undefined) {
+      throw new Error(`Invalid time range: "${range}"`);
+    }
+    return [start, end];
+  });
+}
+
+// "mon-fri 10:00-13:00,16:30-19:00; sat 11:00-13:00" (spaces after the commas are fine)
+export function parseWindows(text) {
+  if (!text || text.trim() === 'always') return [];
+
+  return text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    // The days run up to the first time
+    const timesStart = part.search(/\d/);
+    if (timesStart <= 0) {
+      throw new Error(`Invalid sending window: "${part}" (expected "<days> <from>-<to>,...")`);
+    }
+    const daysText = part.substring(0, timesStart);
+    const rangesText = part.substring(timesStart);
+    const days = [];
+
+    daysText.split(',').map(dayRange => dayRange.trim()).forEach(dayRange => {
+      const [from, to] = dayRange.split('-');
+      const start = parseDay(from);
+      const end = to ? parseDay(to) : start;
+      for (let day = start; ; day = (day + 1) % 7) {
+        days.push(day);
+        if (day === end) break;
+      }
+    });
+
+    return { days, ranges: parseTimeRanges(rangesText) };
+  });
+}
+
+// Places weekday_text, e.g. "Monday: 1:00 – 4:00 PM, 8:00 – 11:30 PM" or "lunes: 13:00–16:00"
+export function parseOpeningHours(weekdayText = []) {
+  const openingHours = {};
+
+  weekdayText.forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+
+    const day = DAY_INDEX[normalizeWord(line.substring(0, separator))];
+    if (day === undefined) return;
+
+    const rest = line.substring(separator + 1).trim();
+
+    // "Open 24 hours" / "Abierto 24 horas"
+    if (/\b24\b/.test(rest) && !/\d[:.]\d/.test(rest)) {
+      openingHours[day] = [[0, 24 * 60]];
+      return;
+    }
+
+    openingHours[day] = rest.split(',').map(range => {
+      const [startText, endText] = range.split(/[-\u2013\u2014]/);
+      if (!startText || !endText) return null;
+
+      // "1:00 – 4:00 PM": the start inherits the end period if that keeps it before the end
+      const endPeriodMatch = endText.match(/([ap])\.?\s?m/i);
+      const end = parseTime(endText);
+      let start = parseTime(startText, endPeriodMatch ? endPeriodMatch[1].toLowerCase() : null);
+      if (start !== null && end !== null && start > end && endPeriodMatch && !/[ap]\.?\s?m/i.test(startText)) {
+        start = parseTime(startText, 'a');
+      }
+
+      if (start === null || end === null) return null;
+      // Closing after midnight: treat as open until the end of the day
+      return [start, end <= start ? 24 * 60 : end];
+    }).filter(Boolean);
+  });
+
+  return openingHours;
+}
+
+function overlaps([startA, endA], [startB, endB]) {
+  return Math.max(startA, startB) < Math.min(endA, endB);
+}
+
+function inRanges(minutes, ranges) {
+  return ranges.some(([start, end]) => minutes >= start && minutes < end);
+}
+
+export class SendingWindow {
+  constructor(options = {}) {
+    this.windows = parseWindows(options.windows);
+    this.timezone = options.timezone || 'Europe/Madrid';
+    this.avoidPeakHours = options.avoidPeakHours === true;
+    this.peakHours = {};
+
+    Object.entries(options.peakHours || {}).forEach(([category, ranges]) => {
+      this.peakHours[category] = parseTimeRanges(ranges);
+    });
+
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  // Day of week and minutes since midnight in the lead's timezone
+  getLocalTime(date, business = {}) {
+    const utcOffset = business.googlePlaceDetails?.utcOffsetMinutes;
+
+    if (typeof utcOffset === 'number') {
+      const local = new Date(date.getTime() + utcOffset * 60000);
+      return { day: local.getUTCDay(), minutes: local.getUTCHours() * 60 + local.getUTCMinutes() };
+    }
+
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+      day: DAY_INDEX[parts.weekday.toLowerCase()],
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  getPeakCategory(business = {}) {
+    const types = business.googlePlaceDetails?.types || [];
+    return Object.keys(this.peakHours).find(category =>
+      (PEAK_CATEGORY_TYPES[category] || [category]).some(type => types.includes(type))
+    ) || null;
+  }
+
+  // Peak windows that apply today: the category's peak hours, limited to when the place is open
+  getPeakRanges(business, day) {
+    const category = this.getPeakCategory(business);
+    if (!category) return [];
+
+    const peakRanges = this.peakHours[category];
+    const openingHours = parseOpeningHours(business.googlePlaceDetails?.openingHours || business.openingHours);
+
+    if (Object.keys(openingHours).length === 0) {
+      return peakRanges;
+    }
+
+    const openToday = openingHours[day] || [];
+    return peakRanges.filter(peak => openToday.some(open => overlaps(peak, open)));
+  }
+
+  isAllowed(date, business = {}) {
+    const { day, minutes } = this.getLocalTime(date, business);
+
+    if (this.windows.length > 0) {
+      const inWindow = this.windows.some(window => window.days.includes(day) && inRanges(minutes, window.ranges));
+      if (!inWindow) return false;
+    }
+
+    if (this.avoidPeakHours && inRanges(minutes, this.getPeakRanges(business, day))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  getNextAllowedTime(from = new Date(), business = {}) {
+    if (this.isAllowed(from, business)) {
+      return from;
+    }
+
+    // Walk forward in small steps; cheap enough and handles every window/peak combination
+    const start = Math.ceil(from.getTime() / (STEP_MINUTES * 60000)) * STEP_MINUTES * 60000;
+    const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60000;
+
+    for (let time = start; time <= limit; time += STEP_MINUTES * 60000) {
+      const candidate = new Date(time);
+      if (this.isAllowed(candidate, business)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+}
+
+export default SendingWindow;
@@ -0,0 +1,241 @@
+import http from 'http';
+import crypto from 'crypto';
+import axios from 'axios';
+import { MessageTransport } from './messageTransport.js';
+import { DELIVERY_STATUS } from '../leadStore.js';
+import { normalizePhone } from '../phoneNumber.js';
+
+// Cloud API status callbacks
+const STATUS_MAP = {
+  sent: DELIVERY_STATUS.SERVER,
+  delivered: DELIVERY_STATUS.DELIVERED,
+  read: DELIVERY_STATUS.READ,
+  failed: DELIVERY_STATUS.ERROR
+};
+
+// Graph API error codes that retrying will not fix
+// (invalid parameter, recipient not allowed/undeliverable, template missing or mismatched)
+const PERMANENT_ERROR_CODES = [100, 131008, 131009, 131021, 131026, 131030, 131047, 131051, 132000, 132001, 132005, 132007, 132012];
+
+// Free text sent to a number that has not written to the account in the last 24 hours
+const REENGAGEMENT_ERROR_CODE = 131047;
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+// WhatsApp Business Platform (Cloud API): template messages over HTTP, replies and
+// status callbacks through a webhook
+export class CloudApiTransport extends MessageTransport {
+  constructor(options = {}) {
+    super('cloud-api');
+    this.baseUrl = options.baseUrl || 'https://graph.facebook.com/v19.0';
+    this.phoneNumberId = options.phoneNumberId;
+    this.accessToken = options.accessToken;
+    this.templateName = options.templateName;
+    this.templateLanguage = options.templateLanguage || 'es';
+    this.templateParams = options.templateParams || ['businessName', 'personalizedContent'];
+    this.templateDefaults = options.templateDefaults || {};
+    this.webhookPort = options.webhookPort ?? 3000;
+    this.webhookPath = options.webhookPath || '/webhook';
+    this.verifyToken = options.verifyToken;
+    this.appSecret = options.appSecret;
+    this.http = null;
+    this.server = null;
+  }
+
+  getAccountId() {
+    return `${this.name}:${this.phoneNumberId}`;
+  }
+
+  async initialize() {
+    if (!this.phoneNumberId || !this.accessToken) {
+      throw new Error('Cloud API transport needs WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN');
+    }
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: 30000,
+      headers: { Authorization: `Bearer ${this.accessToken}` }
+    });
+
+    if (this.webhookPort) {
+      // Without the app secret anyone could post fake replies and opt-outs to the webhook
+      if (!this.appSecret) {
+        throw new Error('Cloud API webhook needs WHATSAPP_APP_SECRET to verify requests (WHATSAPP_WEBHOOK_PORT=0 disables the webhook)');
+      }
+      await this.startWebhookServer();
+    }
+
+    this.isReady = true;
+    console.log(`WhatsApp Cloud API transport ready (${this.baseUrl}, phone number ${this.phoneNumberId})`);
+  }
+
+  // The Cloud API cannot check registration up front; unknown numbers fail in the status webhook
+  async checkNumber(phoneNumber) {
+    return normalizePhone(phoneNumber) || null;
+  }
+
+  async isRegistered(phoneNumber) {
+    return null;
+  }
+
+  // Business-initiated messages (first contact and follow-ups) must use an approved template;
+  // free text (replies, operator notes) only reaches numbers that wrote to the account in the
+  // last 24 hours
+  async send(address, body, options = {}) {
+    const payload = options.kind === 'outreach'
+      ? this.buildTemplatePayload(address, options)
+      : { messaging_product: 'whatsapp', to: address, type: 'text', text: { body } };
+
+    try {
+      const response = await this.http.post(`/${this.phoneNumberId}/messages`, payload);
+      return { id: response.data?.messages?.[0]?.id || null };
+    } catch (error) {
+      throw this.toSendError(error);
+    }
+  }
+
+  // Follow-ups use the template named after their step's message template (e.g. followup_1).
+  // The lead gets the template filled with the message fields, so a message a reviewer edited
+  // can only go out if the template carries its text (`message` in WHATSAPP_TEMPLATE_PARAMS)
+  buildTemplatePayload(address, { variables = {}, template = null, edited = false } = {}) {
+    const templateName = template || this.templateName;
+    if (!templateName) {
+      throw permanentError('Cloud API outreach needs an approved template (WHATSAPP_TEMPLATE_NAME); free text is only delivered within 24 hours of the lead\'s last message');
+    }
+    if (edited && !this.templateParams.includes('message')) {
+      throw permanentError(`Edited message not sent: template "${templateName}" does not carry the message text (add "message" to WHATSAPP_TEMPLATE_PARAMS or approve the generated message)`);
+    }
+
+    const values = { ...this.templateDefaults, ...variables };
+
+    return {
+      messaging_product: 'whatsapp',
+      to: address,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: this.templateLanguage },
+        components: [{
+          type: 'body',
+          parameters: this.templateParams.map(param => ({ type: 'text', text: String(values[param] ?? '') }))
+        }]
+      }
+    };
+  }
+
+  toSendError(error) {
+    const apiError = error.response?.data?.error;
+    let message = apiError ? `Cloud API error ${apiError.code}: ${apiError.message}` : error.message;
+    if (apiError?.code === REENGAGEMENT_ERROR_CODE) {
+      message += ' (outside the 24-hour customer service window: free text only reaches numbers that wrote to this account in the last 24 hours)';
+    }
+
+    const sendError = new Error(message);
+
+    // 4xx with a known code is final; rate limits, 5xx and network errors are retried
+    sendError.permanent = Boolean(apiError && PERMANENT_ERROR_CODES.includes(apiError.code));
+    return sendError;
+  }
+
+  startWebhookServer() {
+    this.server = http.createServer((req, res) => this.handleWebhookRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.webhookPort, () => {
+        console.log(`Cloud API webhook listening on :${this.webhookPort}${this.webhookPath}`);
+        resolve();
+      });
+    });
+  }
+
+  handleWebhookRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname !== this.webhookPath) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    // Subscription handshake from the Meta app dashboard
+    if (req.method === 'GET') {
+      const valid = Boolean(this.verifyToken)
+        && url.searchParams.get('hub.mode') === 'subscribe'
+        && url.searchParams.get('hub.verify_token') === this.verifyToken;
+      res.writeHead(valid ? 200 : 403).end(valid ? url.searchParams.get('hub.challenge') : '');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+
+      if (!this.isValidSignature(raw, req.headers['x-hub-signature-256'])) {
+        res.writeHead(401).end();
+        return;
+      }
+
+      // Acknowledge straight away; Meta retries slow webhooks
+      res.writeHead(200).end();
+
+      try {
+        this.handleWebhookPayload(JSON.parse(raw.toString('utf8')));
+      } catch (error) {
+        console.error('Invalid Cloud API webhook payload:', error.message);
+      }
+    });
+  }
+
+  isValidSignature(raw, signature) {
+    if (!this.appSecret || !signature) return false;
+
+    const expected = `sha256=${crypto.createHmac('sha256', this.appSecret).update(raw).digest('hex')}`;
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  handleWebhookPayload(payload) {
+    (payload.entry || []).forEach(entry => {
+      (entry.changes || []).forEach(({ value = {} }) => {
+        (value.messages || []).forEach(message => {
+          this.emit('message', {
+            id: message.id,
+            from: message.from,
+            body: message.text?.body || message.button?.text || message.interactive?.button_reply?.title || `[${message.type}]`,
+            timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : new Date().toISOString()
+          });
+        });
+
+        (value.statuses || []).forEach(status => {
+          const deliveryStatus = STATUS_MAP[status.status];
+          if (!deliveryStatus) return;
+
+          if (status.errors?.length) {
+            console.error(`Cloud API delivery failed for ${status.recipient_id}: ${status.errors.map(error => error.title).join(', ')}`);
+          }
+          this.emit('ack', { id: status.id, status: deliveryStatus });
+        });
+      });
+    });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    this.isReady = false;
+  }
+}
+
+export default CloudApiTransport;
@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { MessageTransport } from './messageTransport.js';
+import { DELIVERY_STATUS } from '../leadStore.js';
+import { normalizePhone } from '../phoneNumber.js';
+
+// File-backed stand-in for WhatsApp: records outgoing messages and replays injected
+// replies and acks, so the send path runs without a phone
+export class FakeTransport extends MessageTransport {
+  constructor(options = {}) {
+    super('fake');
+    this.filename = options.path || './data/fake_transport.json';
+    this.unregisteredNumbers = (options.unregisteredNumbers || []).map(phone => normalizePhone(phone));
+    this.autoAck = options.autoAck !== false;
+    this.pollInterval = options.pollInterval || 1000;
+    this.timer = null;
+    this.polling = false;
+    this.pendingUpdate = Promise.resolve();
+  }
+
+  async readState() {
+    try {
+      const raw = await fs.readFile(this.filename, 'utf8');
+      const data = JSON.parse(raw);
+      return { outgoing: data.outgoing || [], events: data.events || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read fake transport ${this.filename}: ${error.message}`);
+      }
+      return { outgoing: [], events: [] };
+    }
+  }
+
+  async writeState(state) {
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    const tmpFile = `${this.filename}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(state, null, 2));
+    await fs.rename(tmpFile, this.filename);
+  }
+
+  // Read-modify-write, so the CLI can inject events while a sender is running.
+  // Updates from this process are chained so a poll never overwrites a send.
+  updateState(fn) {
+    const update = this.pendingUpdate.then(async () => {
+      const state = await this.readState();
+      const result = fn(state);
+      await this.writeState(state);
+      return result;
+    });
+
+    this.pendingUpdate = update.catch(() => {});
+    return update;
+  }
+
+  async initialize() {
+    this.isReady = true;
+    console.log(`Fake transport ready (${this.filename})`);
+
+    // Deliver anything injected while no sender was running
+    await this.poll();
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const pending = await this.updateState(state => {
+        const events = state.events.filter(event => !event.emittedAt);
+        const now = new Date().toISOString();
+        events.forEach(event => {
+          event.emittedAt = now;
+        });
+        return events;
+      });
+
+      pending.forEach(({ type, emittedAt, createdAt, ...payload }) => this.emit(type, payload));
+    } catch (error) {
+      console.error('Fake transport poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async checkNumber(phoneNumber) {
+    const phone = normalizePhone(phoneNumber);
+    if (!phone || this.unregisteredNumbers.includes(phone)) {
+      return null;
+    }
+    return `${phone}@fake`;
+  }
+
+  async send(address, body) {
+    const id = `fake_${crypto.randomBytes(6).toString('hex')}`;
+    const now = new Date().toISOString();
+
+    await this.updateState(state => {
+      state.outgoing.push({ id, to: address, body, at: now });
+
+      if (this.autoAck) {
+        state.events.push(
+          { type: 'ack', id, status: DELIVERY_STATUS.SERVER, createdAt: now },
+          { type: 'ack', id, status: DELIVERY_STATUS.DELIVERED, createdAt: now }
+        );
+      }
+    });
+
+    return { id };
+  }
+
+  async findSentMessage(address, body) {
+    const state = await this.readState();
+    return state.outgoing.some(message => message.to === address && message.body === body);
+  }
+
+  async injectReply(phoneNumber, body) {
+    const event = {
+      type: 'message',
+      id: `fake_in_${crypto.randomBytes(6).toString('hex')}`,
+      from: `${normalizePhone(phoneNumber)}@fake`,
+      body,
+      timestamp: new Date().toISOString(),
+      createdAt: new Date().toISOString()
+    };
+
+    await this.updateState(state => {
+      state.events.push(event);
+    });
+    return event;
+  }
+
+  // Marks every message sent to the number as read
+  async injectRead(phoneNumber) {
+    const address = `${normalizePhone(phoneNumber)}@fake`;
+
+    return this.updateState(state => {
+      const sent = state.outgoing.filter(message => message.to === address);
+      sent.forEach(message => {
+        state.events.push({ type: 'ack', id: message.id, status: DELIVERY_STATUS.READ, createdAt: new Date().toISOString() });
+      });
+      return sent.length;
+    });
+  }
+
+  async listSent() {
+    const state = await this.readState();
+    return state.outgoing;
+  }
+
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    // Flush events that arrived since the last poll
+    if (this.isReady) {
+      await this.poll();
+    }
+    this.isReady = false;
+  }
+}
+
+export default FakeTransport;
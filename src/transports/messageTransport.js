@@ -0,0 +1,50 @@
+import { EventEmitter } from 'events';
+
+// Contract every transport implements. Events:
+//   'message'      { id, from, body, timestamp } for incoming messages
+//   'ack'          { id, status } with a DELIVERY_STATUS for messages we sent
+//   'disconnected' reason
+export class MessageTransport extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.isReady = false;
+  }
+
+  async initialize() {
+    throw new Error(`${this.name} transport does not implement initialize()`);
+  }
+
+  // Resolves the address to send to, or null if the number cannot receive messages
+  async checkNumber(phoneNumber) {
+    throw new Error(`${this.name} transport does not implement checkNumber()`);
+  }
+
+  // true/false if the number is on WhatsApp, null if the transport cannot tell before sending
+  async isRegistered(phoneNumber) {
+    return Boolean(await this.checkNumber(phoneNumber));
+  }
+
+  // Identifies the sending account (number), e.g. for per-account limits
+  getAccountId() {
+    return this.name;
+  }
+
+  // Returns { id } with the transport's id for the sent message. options.kind is
+  // 'outreach' for first contact and follow-ups (with template variables, the follow-up's
+  // template and whether a reviewer edited the text) or 'reply'
+  async send(address, body, options = {}) {
+    throw new Error(`${this.name} transport does not implement send()`);
+  }
+
+  // true/false if the transport can tell whether the message went out, null if it cannot
+  async findSentMessage(address, body) {
+    return null;
+  }
+
+  async close() {
+    this.isReady = false;
+  }
+}
+
+export default MessageTransport;
@@ -0,0 +1,126 @@
+import pkg from 'whatsapp-web.js';
+const { Client, LocalAuth } = pkg;
+import qrcode from 'qrcode-terminal';
+import { MessageTransport } from './messageTransport.js';
+import { DELIVERY_STATUS } from '../leadStore.js';
+import { normalizePhone } from '../phoneNumber.js';
+
+// whatsapp-web.js MessageAck values
+const ACK_STATUS = {
+  '-1': DELIVERY_STATUS.ERROR,
+  0: DELIVERY_STATUS.PENDING,
+  1: DELIVERY_STATUS.SERVER,
+  2: DELIVERY_STATUS.DELIVERED,
+  3: DELIVERY_STATUS.READ,
+  4: DELIVERY_STATUS.READ // played (voice notes)
+};
+
+// WhatsApp Web session driven by whatsapp-web.js; logs in with a QR code
+export class WhatsAppWebTransport extends MessageTransport {
+  constructor() {
+    super('whatsapp-web');
+    this.client = null;
+  }
+
+  // The logged-in number, known once the session is ready
+  getAccountId() {
+    const number = this.client?.info?.wid?.user;
+    return number ? `${this.name}:${number}` : this.name;
+  }
+
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      this.client = new Client({
+        authStrategy: new LocalAuth(),
+        puppeteer: {
+          headless: true,
+          args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--no-first-run',
+            '--no-zygote',
+            '--single-process',
+            '--disable-gpu'
+          ]
+        }
+      });
+
+      this.client.on('qr', (qr) => {
+        console.log('Scan this QR code with your WhatsApp:');
+        qrcode.generate(qr, { small: true });
+        console.log('Or visit https://web.whatsapp.com and scan the QR code manually');
+      });
+
+      this.client.on('ready', () => {
+        console.log('WhatsApp client is ready!');
+        this.isReady = true;
+        resolve();
+      });
+
+      this.client.on('authenticated', () => {
+        console.log('WhatsApp client authenticated');
+      });
+
+      this.client.on('auth_failure', (msg) => {
+        console.error('Authentication failed:', msg);
+        reject(new Error('WhatsApp authentication failed'));
+      });
+
+      this.client.on('disconnected', (reason) => {
+        this.isReady = false;
+        this.emit('disconnected', reason);
+      });
+
+      this.client.on('message', (message) => {
+        if (message.fromMe) return;
+
+        this.emit('message', {
+          id: message.id?._serialized || null,
+          from: message.from,
+          body: message.body,
+          timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : new Date().toISOString()
+        });
+      });
+
+      this.client.on('message_ack', (message, ack) => {
+        const status = ACK_STATUS[ack];
+        if (message.fromMe && status && message.id?._serialized) {
+          this.emit('ack', { id: message.id._serialized, status });
+        }
+      });
+
+      this.client.initialize().catch(reject);
+    });
+  }
+
+  async checkNumber(phoneNumber) {
+    const numberId = await this.client.getNumberId(`${normalizePhone(phoneNumber)}@c.us`);
+    return numberId ? numberId._serialized : null;
+  }
+
+  async send(address, body) {
+    const sentMessage = await this.client.sendMessage(address, body);
+    return { id: sentMessage?.id?._serialized || null };
+  }
+
+  async findSentMessage(address, body) {
+    // No chat with this number means nothing was ever sent to it
+    const chat = await this.client.getChatById(address).catch(() => null);
+    if (!chat) return false;
+
+    const recent = await chat.fetchMessages({ limit: 50, fromMe: true });
+    return recent.some(sent => sent.fromMe && sent.body === body);
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.destroy();
+      this.client = null;
+    }
+    this.isReady = false;
+  }
+}
+
+export default WhatsAppWebTransport;
@@ -0,0 +1,155 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock } from './fileLock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEPT_DAYS = 7;
+
+// Local calendar day, so "today" matches the operator's clock
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Daily allowance that grows from the first send of each sender account:
+// day 1 `start`, then `increment` more per day, up to `cap`. Persisted on disk
+// so the ramp-up holds across processes
+export class WarmUpSchedule {
+  constructor(filename, options = {}) {
+    this.filename = filename;
+    this.start = options.start || 10;
+    this.increment = options.increment ?? 5;
+    this.cap = options.cap || 200;
+    this.accounts = {};
+  }
+
+  async load() {
+    if (!this.filename) return this;
+
+    try {
+      const raw = await fs.readFile(this.filename, 'utf8');
+      const data = JSON.parse(raw);
+      this.accounts = data.accounts || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read warm-up schedule ${this.filename}: ${error.message}`);
+      }
+      this.accounts = {};
+    }
+
+    return this;
+  }
+
+  async save() {
+    if (!this.filename) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    const tmpFile = `${this.filename}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ accounts: this.accounts }, null, 2));
+    await fs.rename(tmpFile, this.filename);
+  }
+
+  getDailyLimit(day) {
+    return Math.min(this.cap, this.start + (day - 1) * this.increment);
+  }
+
+  // 1 on the day of the account's first send (or before it has sent anything)
+  getDay(accountId, now = new Date()) {
+    const account = this.accounts[accountId];
+    if (!account) return 1;
+
+    // Rounded, so a DST change does not shift the count
+    const elapsed = startOfDay(now).getTime() - startOfDay(account.firstSendAt).getTime();
+    return Math.max(1, Math.round(elapsed / DAY_MS) + 1);
+  }
+
+  getUsage(accountId, now = new Date()) {
+    const account = this.accounts[accountId];
+    const day = this.getDay(accountId, now);
+    const dailyLimit = this.getDailyLimit(day);
+    const sentToday = account?.sentByDay[dayKey(now)] || 0;
+
+    return {
+      account: accountId,
+      firstSendAt: account?.firstSendAt || null,
+      day,
+      dailyLimit,
+      sentToday,
+      remainingToday: Math.max(0, dailyLimit - sentToday),
+      complete: dailyLimit >= this.cap
+    };
+  }
+
+  // When the next day's allowance starts
+  getNextDayStart(now = new Date()) {
+    const next = startOfDay(now);
+    next.setDate(next.getDate() + 1);
+    return next;
+  }
+
+  // Load-modify-save of the file under its lock (in-memory schedules need none)
+  locked(fn) {
+    return this.filename ? withFileLock(this.filename, fn) : fn();
+  }
+
+  addSend(accountId, timestamp) {
+    const account = this.accounts[accountId] || (this.accounts[accountId] = { firstSendAt: timestamp, sentByDay: {} });
+    const key = dayKey(timestamp);
+    account.sentByDay[key] = (account.sentByDay[key] || 0) + 1;
+
+    // Only today's count matters; keep a few days for reference
+    account.sentByDay = Object.fromEntries(
+      Object.entries(account.sentByDay).sort(([a], [b]) => a.localeCompare(b)).slice(-KEPT_DAYS)
+    );
+  }
+
+  // Records a send that was not checked against the allowance (e.g. replies)
+  async record(accountId, timestamp = new Date().toISOString()) {
+    await this.locked(async () => {
+      // Reload first: another process may have sent from the same account
+      await this.load();
+      this.addSend(accountId, timestamp);
+      await this.save();
+    });
+  }
+
+  // Checks today's allowance and takes a send from it in one locked load-modify-save.
+  // Returns { acquired: true, timestamp } or { acquired: false, usage }
+  async tryAcquire(accountId, timestamp = new Date().toISOString()) {
+    return this.locked(async () => {
+      await this.load();
+      const usage = this.getUsage(accountId, new Date(timestamp));
+      if (usage.remainingToday === 0) return { acquired: false, usage };
+
+      this.addSend(accountId, timestamp);
+      await this.save();
+      return { acquired: true, timestamp };
+    });
+  }
+
+  // Gives back a send whose message never went out. An account left without any send has
+  // not started its ramp-up yet
+  async release(accountId, timestamp) {
+    await this.locked(async () => {
+      await this.load();
+      const sentByDay = this.accounts[accountId]?.sentByDay;
+      const key = dayKey(timestamp);
+      if (!sentByDay?.[key]) return;
+
+      sentByDay[key]--;
+      if (Object.values(sentByDay).every(count => count === 0)) {
+        delete this.accounts[accountId];
+      }
+      await this.save();
+    });
+  }
+}
+
+export default WarmUpSchedule;
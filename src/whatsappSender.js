@@ -1,100 +1,300 @@
-import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
-import qrcode from 'qrcode-terminal';
 import delay from 'delay';
-import fs from 'fs/promises';
+import { isApproved, MESSAGE_STATUS } from './approvalQueue.js';
+import { DEFAULT_COUNTRY, normalizePhone, classifyPhone, isMobileType } from './phoneNumber.js';
+import { LEDGER_REASON } from './contactLedger.js';
+import { LEAD_STATUS } from './leadStore.js';
+import { SendQuota } from './sendQuota.js';
+import { OUTBOX_STATUS, isFinal } from './outbox.js';
+import { LOG_TYPE } from './messageLog.js';
+import { CHANNEL } from './channels.js';
+import { WhatsAppWebTransport } from './transports/whatsappWebTransport.js';
 
 export class WhatsAppSender {
   constructor(options = {}) {
-    this.client = null;
+    // Anything implementing MessageTransport; defaults to a WhatsApp Web session
+    this.transport = options.transport || new WhatsAppWebTransport();
+    // Country of national numbers (e.g. from --input files or NOTIFY_WHATSAPP_NUMBER)
+    this.phoneCountry = options.phoneCountry || DEFAULT_COUNTRY;
     this.isReady = false;
     this.messagesSent = 0;
     this.messageDelay = options.messageDelay || 5000; // 5 seconds between messages
     this.maxMessagesPerHour = options.maxMessagesPerHour || 50;
-    this.messageLog = [];
+    this.maxMessagesPerDay = options.maxMessagesPerDay || 200;
+    // Without a persisted quota, fall back to one that only lives in this process
+    this.sendQuota = options.sendQuota || new SendQuota(null, {
+      maxPerHour: this.maxMessagesPerHour,
+      maxPerDay: this.maxMessagesPerDay
+    });
+    // Append-only log of every message event (MessageLog); optional so the sender works without one
+    this.messageLog = options.messageLog || null;
+    this.logEntries = 0;
+    this.receivedTimestamps = [];
+    this.leadStore = options.leadStore || null;
+    this.contactLedger = options.contactLedger || null;
+    // FollowUpScheduler: drops follow-ups to leads that replied or opted out meanwhile
+    this.followUpScheduler = options.followUpScheduler || null;
+    this.optOutDetector = options.optOutDetector || null;
+    this.optOutConfirmation = options.optOutConfirmation || { enabled: false, message: '' };
+    this.replyNotifier = options.replyNotifier || null;
+    this.sendingWindow = options.sendingWindow || null;
+    this.maxWindowWait = options.maxWindowWait ?? 15 * 60 * 1000;
+    // Optional ramp-up of the daily allowance for new sender accounts
+    this.warmUp = options.warmUp || null;
+    this.outbox = options.outbox || null;
+    this.maxRetryWait = options.maxRetryWait ?? 2 * 60 * 1000; // Longer backoffs wait for the next run
   }
 
   async initialize() {
-    return new Promise((resolve, reject) => {
-      this.client = new Client({
-        authStrategy: new LocalAuth(),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--single-process',
-            '--disable-gpu'
-          ]
+    this.transport.on('disconnected', (reason) => {
+      console.log(`${this.transport.name} transport disconnected:`, reason);
+      this.isReady = false;
+    });
+
+    this.transport.on('message', async (message) => {
+      await this.handleIncomingMessage(message);
+    });
+
+    this.transport.on('ack', async (ack) => {
+      await this.handleAck(ack);
+    });
+
+    await this.transport.initialize();
+    this.isReady = true;
+  }
+
+  async handleAck({ id, status }) {
+    let lead = null;
+
+    if (this.leadStore) {
+      try {
+        lead = this.leadStore.recordAck(id, status);
+        if (lead) {
+          await this.leadStore.save();
         }
-      });
+      } catch (error) {
+        console.error(`Error recording ack for ${id}:`, error.message);
+      }
+    }
 
-      this.client.on('qr', (qr) => {
-        console.log('Scan this QR code with your WhatsApp:');
-        qrcode.generate(qr, { small: true });
-        console.log('Or visit https://web.whatsapp.com and scan the QR code manually');
-      });
+    // Logged even when the ack raced ahead of its send record: the transport id ties them together
+    await this.logMessage(LOG_TYPE.ACK, lead?.business.phone, null, {
+      status,
+      transportMessageId: id,
+      leadId: lead?.id,
+      businessName: lead?.business.name
+    });
+  }
 
-      this.client.on('ready', () => {
-        console.log('WhatsApp client is ready!');
-        this.isReady = true;
-        resolve();
-      });
+  async handleIncomingMessage(message) {
+    try {
+      // Store the full reply on the lead it answers
+      let lead = null;
+      if (this.leadStore) {
+        lead = this.leadStore.recordInbound(message.from, message.body, {
+          timestamp: message.timestamp,
+          transportMessageId: message.id
+        });
+        if (lead) {
+          console.log(`Reply from ${lead.business.name} (${message.from})`);
+          await this.leadStore.save();
+        }
+      }
 
-      this.client.on('authenticated', () => {
-        console.log('WhatsApp client authenticated');
+      // Log received messages for monitoring responses
+      await this.logMessage(LOG_TYPE.RECEIVED, message.from, message.body, {
+        transportMessageId: message.id,
+        leadId: lead?.id,
+        businessName: lead?.business?.name
       });
 
-      this.client.on('auth_failure', (msg) => {
-        console.error('Authentication failed:', msg);
-        reject(new Error('WhatsApp authentication failed'));
-      });
+      const detection = this.optOutDetector?.detect(message.body);
+      if (detection?.optedOut) {
+        await this.handleOptOut(message.from, detection);
+      }
 
-      this.client.on('disconnected', (reason) => {
-        console.log('WhatsApp client disconnected:', reason);
-        this.isReady = false;
+      // Only replies from leads; anything else (e.g. the operator's own chat) is not news
+      if (lead && this.replyNotifier) {
+        const event = this.replyNotifier.createEvent(lead, {
+          from: message.from,
+          body: message.body,
+          timestamp: message.timestamp,
+          optedOut: Boolean(detection?.optedOut)
+        });
+        await this.replyNotifier.notify(event, {
+          sendWhatsApp: (number, text) => this.sendOperatorMessage(number, text)
+        });
+      }
+    } catch (error) {
+      console.error(`Error handling incoming message from ${message.from}:`, error.message);
+    }
+  }
+
+  async handleOptOut(from, detection) {
+    console.log(`Opt-out detected from ${from} (${detection.language}: "${detection.keyword}")`);
+    const lead = this.leadStore?.findByPhone(from);
+    await this.logMessage(LOG_TYPE.OPT_OUT, from, `Keyword: ${detection.keyword}`, {
+      leadId: lead?.id,
+      businessName: lead?.business?.name
+    });
+    let confirmationAlreadySent = false;
+
+    if (this.contactLedger) {
+      const previous = this.contactLedger.check({ phone: from });
+      confirmationAlreadySent = Boolean(previous?.optOutConfirmationSentAt);
+
+      this.contactLedger.suppress({
+        phone: from,
+        placeId: previous?.placeId,
+        reason: LEDGER_REASON.OPTED_OUT,
+        source: `whatsapp_reply:${detection.keyword}`,
+        businessName: previous?.businessName || lead?.business?.name,
+        leadId: lead?.id || previous?.leadId
       });
+    }
+
+    if (lead && lead.status !== LEAD_STATUS.OPTED_OUT) {
+      this.leadStore.setStatus(lead, LEAD_STATUS.OPTED_OUT, { reason: detection.keyword });
+      await this.leadStore.save();
+    }
 
-      this.client.on('message', async (message) => {
-        // Log received messages for monitoring responses
-        if (!message.fromMe) {
-          this.logMessage('RECEIVED', message.from, message.body);
+    // Send at most one confirmation per number, ever
+    if (this.optOutConfirmation.enabled && this.optOutConfirmation.message && !confirmationAlreadySent) {
+      try {
+        const { id: transportMessageId } = await this.transport.send(from, this.optOutConfirmation.message, { kind: 'reply' });
+        await this.recordQuota();
+        await this.logMessage(LOG_TYPE.SENT, from, this.optOutConfirmation.message, {
+          transportMessageId,
+          leadId: lead?.id,
+          businessName: lead?.business?.name
+        });
+        if (this.contactLedger) {
+          this.contactLedger.markOptOutConfirmed(from);
         }
-      });
+      } catch (error) {
+        console.error(`Could not send opt-out confirmation to ${from}:`, error.message);
+      }
+    }
 
-      this.client.initialize().catch(reject);
-    });
+    if (this.contactLedger) {
+      await this.contactLedger.save();
+    }
+  }
+
+  // Notes to the operator's own number: no ledger or window checks, but they count
+  // towards the account's quotas like any other message
+  async sendOperatorMessage(phoneNumber, text) {
+    const address = await this.transport.checkNumber(this.formatPhoneNumber(phoneNumber));
+    if (!address) {
+      throw new Error(`Operator number ${phoneNumber} is not on WhatsApp`);
+    }
+
+    const { id: transportMessageId } = await this.transport.send(address, text, { kind: 'reply' });
+    await this.recordQuota();
+    await this.logMessage(LOG_TYPE.NOTIFY, phoneNumber, text, { transportMessageId });
   }
 
-  async sendMessage(phoneNumber, message) {
+  // Pre-flight registration check: true/false, or null when the transport cannot tell
+  async checkRegistration(phoneNumber) {
     if (!this.isReady) {
-      throw new Error('WhatsApp client is not ready');
+      throw new Error(`${this.transport.name} transport is not ready`);
     }
+    return this.transport.isRegistered(this.formatPhoneNumber(phoneNumber));
+  }
 
-    if (this.messagesSent >= this.maxMessagesPerHour) {
-      throw new Error('Hourly message limit reached');
+  async sendMessage(phoneNumber, message, context = {}) {
+    if (!this.isReady) {
+      throw new Error(`${this.transport.name} transport is not ready`);
     }
 
+    // Send slots taken by deliver() before it marked the outbox entry as sending
+    let slots = context.slots || null;
+
+    // Last check against the do-not-contact ledger right before sending
+    const blocked = this.contactLedger?.check(
+      { phone: phoneNumber, placeId: context.placeId },
+      { allowContacted: Boolean(context.followUp) }
+    );
+    if (blocked) {
+      console.log(`Skipping ${phoneNumber}: in do-not-contact ledger (${blocked.reason})`);
+      if (slots) await this.releaseSendSlots(slots);
+      return {
+        success: false,
+        skipped: true,
+        suppressed: true,
+        phoneNumber,
+        error: `Do-not-contact: ${blocked.reason}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const stopReason = this.followUpScheduler?.getFollowUpStopReason(context);
+    if (stopReason) {
+      console.log(`Skipping follow-up to ${phoneNumber}: sequence stopped (${stopReason})`);
+      if (slots) await this.releaseSendSlots(slots);
+      return {
+        success: false,
+        skipped: true,
+        phoneNumber,
+        error: `Follow-up stopped: ${stopReason}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    let sent = false;
+
     try {
+      // Landlines and toll-free numbers can never be on WhatsApp
+      const { type } = classifyPhone(phoneNumber, this.phoneCountry);
+      if (!isMobileType(type)) {
+        const error = new Error(`Phone number ${phoneNumber} is not a mobile number (${type})`);
+        error.permanent = true;
+        throw error;
+      }
+
       // Format phone number
       const formattedNumber = this.formatPhoneNumber(phoneNumber);
 
       // Check if number exists on WhatsApp
-      const numberId = await this.client.getNumberId(formattedNumber);
+      const address = await this.transport.checkNumber(formattedNumber);
+
+      if (!address) {
+        const error = new Error(`Phone number ${phoneNumber} is not registered on WhatsApp`);
+        error.permanent = true; // Retrying will not help
+        throw error;
+      }
 
-      if (!numberId) {
-        throw new Error(`Phone number ${phoneNumber} is not registered on WhatsApp`);
+      if (!slots) {
+        slots = await this.acquireSendSlots(phoneNumber);
+        if (slots.deferred) return slots.deferred;
       }
 
-      // Send message
-      await this.client.sendMessage(numberId._serialized, message);
+      // Send message; its id lets us match the delivery/read acks later
+      const { id: transportMessageId } = await this.transport.send(address, message, {
+        kind: 'outreach',
+        variables: context.variables,
+        template: context.template,
+        edited: context.edited
+      });
+      sent = true;
 
       this.messagesSent++;
-      this.logMessage('SENT', formattedNumber, message);
+      await this.logMessage(LOG_TYPE.SENT, formattedNumber, message, {
+        transportMessageId,
+        leadId: context.leadId,
+        runId: context.runId,
+        businessName: context.businessName
+      });
+
+      if (this.contactLedger) {
+        this.contactLedger.recordContact({
+          phone: formattedNumber,
+          placeId: context.placeId,
+          leadId: context.leadId,
+          businessName: context.businessName,
+          source: 'whatsapp'
+        });
+        await this.contactLedger.save();
+      }
 
       console.log(`Message sent to ${phoneNumber}: ${message.substring(0, 50)}...`);
 
@@ -104,15 +304,26 @@ export class WhatsAppSender {
       return {
         success: true,
         phoneNumber: formattedNumber,
+        transportMessageId,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      this.logMessage('ERROR', phoneNumber, `Error: ${error.message}`);
+      if (slots && !sent) {
+        await this.releaseSendSlots(slots);
+      }
+
+      await this.logMessage(LOG_TYPE.ERROR, phoneNumber, message, {
+        error: error.message,
+        leadId: context.leadId,
+        runId: context.runId,
+        businessName: context.businessName
+      });
       console.error(`Failed to send message to ${phoneNumber}:`, error.message);
 
       return {
         success: false,
+        permanent: Boolean(error.permanent),
         phoneNumber,
         error: error.message,
         timestamp: new Date().toISOString()
@@ -120,6 +331,30 @@ export class WhatsAppSender {
     }
   }
 
+  // A quota slot and today's warm-up allowance, taken together so retries and concurrent
+  // senders cannot overshoot them. The quota may pause for hours; { deferred } once the
+  // warm-up allowance is used up
+  async acquireSendSlots(phoneNumber) {
+    const quotaSlot = await this.sendQuota.acquire();
+    if (!this.warmUp) {
+      return { quotaSlot, warmUpSlot: null };
+    }
+
+    const allowance = await this.warmUp.tryAcquire(this.transport.getAccountId());
+    if (!allowance.acquired) {
+      await this.sendQuota.release(quotaSlot);
+      return { deferred: this.deferForWarmUp(phoneNumber, allowance.usage) };
+    }
+    return { quotaSlot, warmUpSlot: allowance.timestamp };
+  }
+
+  async releaseSendSlots({ quotaSlot, warmUpSlot }) {
+    await this.sendQuota.release(quotaSlot);
+    if (warmUpSlot) {
+      await this.warmUp.release(this.transport.getAccountId(), warmUpSlot);
+    }
+  }
+
   async sendBulkMessages(messages, options = {}) {
     const batchSize = options.batchSize || 10;
     const delayBetweenBatches = options.delayBetweenBatches || 30000; // 30 seconds
@@ -133,22 +368,24 @@ export class WhatsAppSender {
       console.log(`\nProcessing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(messages.length / batchSize)}`);
 
       for (const messageData of batch) {
-        const result = await this.sendMessage(messageData.phoneNumber, messageData.message);
-        results.push({
+        // Never send anything a human hasn't approved
+        const result = isApproved(messageData)
+          ? await this.deliver(messageData, { runId: options.runId })
+          : this.refuseUnapproved(messageData);
+        const entry = {
           ...result,
           businessName: messageData.businessName,
           originalData: messageData
-        });
+        };
+        results.push(entry);
 
-        // Check rate limits
-        if (this.messagesSent >= this.maxMessagesPerHour) {
-          console.log('Hourly rate limit reached. Stopping bulk send.');
-          break;
+        if (options.onResult) {
+          await options.onResult(entry);
         }
       }
 
       // Delay between batches (except for the last batch)
-      if (i + batchSize < messages.length && this.messagesSent < this.maxMessagesPerHour) {
+      if (i + batchSize < messages.length) {
         console.log(`Waiting ${delayBetweenBatches / 1000} seconds before next batch...`);
         await delay(delayBetweenBatches);
       }
@@ -157,76 +394,296 @@ export class WhatsAppSender {
     return results;
   }
 
-  formatPhoneNumber(phoneNumber) {
-    // Remove all non-numeric characters
-    let cleaned = phoneNumber.replace(/\D/g, '');
+  async deliver(messageData, { runId = null } = {}) {
+    const context = { ...this.getMessageContext(messageData), runId };
+
+    if (!this.outbox) {
+      return await this.waitForSendingWindow(messageData)
+        || await this.checkWarmUp(messageData)
+        || await this.sendMessage(messageData.phoneNumber, messageData.message, context);
+    }
+
+    const entry = this.outbox.enqueue(messageData, { runId });
+    await this.outbox.save();
+
+    if (entry.status === OUTBOX_STATUS.SENDING) {
+      // A previous process died mid-send: only resend if the chat proves it never went out
+      const alreadySent = await this.findSentMessage(messageData.phoneNumber, messageData.message);
+
+      if (alreadySent === null) {
+        console.log(`Delivery of ${entry.key} is unknown after an interrupted send, not retrying`);
+        return this.outboxResult(entry, {
+          success: false,
+          skipped: true,
+          uncertain: true,
+          error: 'Interrupted send with unknown outcome; check the chat before retrying'
+        });
+      }
+
+      if (alreadySent) {
+        this.outbox.markSent(entry.key, { reconciled: true });
+      } else {
+        this.outbox.requeue(entry.key);
+      }
+      await this.outbox.save();
+    }
 
-    // Add country code if not present (assuming Spain +34)
-    if (cleaned.length === 9 && !cleaned.startsWith('34')) {
-      cleaned = '34' + cleaned;
+    if (entry.status === OUTBOX_STATUS.SENT) {
+      console.log(`Already sent ${entry.key}, skipping`);
+      return this.outboxResult(entry, { success: true, alreadySent: true, timestamp: entry.sentAt });
     }
 
-    // Ensure it starts with the country code
-    if (!cleaned.startsWith('34') && cleaned.length === 9) {
-      cleaned = '34' + cleaned;
+    if (isFinal(entry)) {
+      return this.outboxResult(entry, { success: false, skipped: true, error: entry.lastError });
     }
 
-    return cleaned + '@c.us';
+    if (!this.outbox.isDue(entry)) {
+      return this.outboxResult(entry, { success: false, deferred: true, nextAttemptAt: entry.nextRetryAt, error: entry.lastError });
+    }
+
+    const windowResult = await this.waitForSendingWindow(messageData) || await this.checkWarmUp(messageData);
+    if (windowResult) {
+      return windowResult;
+    }
+
+    while (true) {
+      let result;
+      try {
+        // Slots first: stopping the process during a quota pause must leave the entry queued,
+        // since an entry left sending is never retried blindly
+        const slots = await this.acquireSendSlots(messageData.phoneNumber);
+        if (slots.deferred) {
+          return { ...slots.deferred, attempts: entry.attempts };
+        }
+
+        this.outbox.markSending(entry.key);
+        await this.outbox.save();
+        result = await this.sendMessage(messageData.phoneNumber, messageData.message, { ...context, slots });
+      } catch (error) {
+        // e.g. the client disconnected mid-batch
+        result = { success: false, phoneNumber: messageData.phoneNumber, error: error.message, timestamp: new Date().toISOString() };
+      }
+
+      if (result.success) {
+        this.outbox.markSent(entry.key, { timestamp: result.timestamp, transportMessageId: result.transportMessageId });
+        await this.outbox.save();
+        return result;
+      }
+
+      if (result.skipped) {
+        this.outbox.cancel(entry.key, result.error);
+        await this.outbox.save();
+        return result;
+      }
+
+      this.outbox.markFailed(entry.key, result.error, { permanent: result.permanent });
+      await this.outbox.save();
+
+      if (entry.status === OUTBOX_STATUS.FAILED) {
+        return { ...result, attempts: entry.attempts };
+      }
+
+      const wait = new Date(entry.nextRetryAt).getTime() - Date.now();
+      if (wait > this.maxRetryWait) {
+        console.log(`Retry ${entry.attempts}/${this.outbox.maxAttempts} for ${entry.key} scheduled at ${entry.nextRetryAt}`);
+        return { ...result, deferred: true, attempts: entry.attempts, nextAttemptAt: entry.nextRetryAt };
+      }
+
+      console.log(`Retrying ${entry.key} in ${Math.ceil(wait / 1000)}s (attempt ${entry.attempts + 1}/${this.outbox.maxAttempts})...`);
+      await delay(Math.max(0, wait));
+    }
   }
 
-  logMessage(type, phoneNumber, message) {
-    const logEntry = {
+  outboxResult(entry, fields) {
+    return {
+      phoneNumber: entry.phoneNumber,
+      attempts: entry.attempts,
       timestamp: new Date().toISOString(),
-      type,
-      phoneNumber,
-      message: message.substring(0, 200), // Limit message length in log
+      ...fields
     };
+  }
 
-    this.messageLog.push(logEntry);
+  // true/false if the chat shows whether the message went out, null if we cannot tell
+  async findSentMessage(phoneNumber, message) {
+    try {
+      const address = await this.transport.checkNumber(phoneNumber);
+      if (!address) return false;
 
-    // Keep only last 1000 entries to prevent memory issues
-    if (this.messageLog.length > 1000) {
-      this.messageLog = this.messageLog.slice(-1000);
+      return await this.transport.findSentMessage(address, message);
+    } catch (error) {
+      console.error(`Could not check chat history for ${phoneNumber}:`, error.message);
+      return null;
     }
   }
 
-  async saveMessageLog(filename) {
+  // Returns a deferred result when the lead is outside its sending window for too long
+  async waitForSendingWindow(messageData) {
+    if (!this.sendingWindow) return null;
+
+    const now = new Date();
+    const nextSlot = this.sendingWindow.getNextAllowedTime(now, messageData.business);
+    const wait = nextSlot ? nextSlot.getTime() - now.getTime() : Infinity;
+
+    if (wait <= 0) return null;
+
+    if (wait <= this.maxWindowWait) {
+      console.log(`Outside sending window for ${messageData.phoneNumber}. Waiting ${Math.ceil(wait / 60000)} min...`);
+      await delay(wait);
+      return null;
+    }
+
+    console.log(`Outside sending window for ${messageData.phoneNumber}, deferred until ${nextSlot ? nextSlot.toISOString() : 'no allowed slot'}`);
+
+    return {
+      success: false,
+      deferred: true,
+      phoneNumber: messageData.phoneNumber,
+      nextAttemptAt: nextSlot ? nextSlot.toISOString() : null,
+      error: 'Outside sending window',
+      timestamp: now.toISOString()
+    };
+  }
+
+  // Returns a deferred result once the account has used today's warm-up allowance. Only spares
+  // waiting for a window: the allowance itself is taken by acquireSendSlots
+  async checkWarmUp(messageData) {
+    if (!this.warmUp) return null;
+
+    await this.warmUp.load();
+    const usage = this.warmUp.getUsage(this.transport.getAccountId());
+    if (usage.remainingToday > 0) return null;
+
+    return this.deferForWarmUp(messageData.phoneNumber, usage);
+  }
+
+  deferForWarmUp(phoneNumber, usage, now = new Date()) {
+    const nextDay = this.warmUp.getNextDayStart(now);
+    console.log(`Warm-up allowance for day ${usage.day} used (${usage.sentToday}/${usage.dailyLimit}), ${phoneNumber} deferred until ${nextDay.toISOString()}`);
+
+    return {
+      success: false,
+      deferred: true,
+      phoneNumber,
+      nextAttemptAt: nextDay.toISOString(),
+      error: `Warm-up limit reached (day ${usage.day}: ${usage.dailyLimit})`,
+      timestamp: now.toISOString()
+    };
+  }
+
+  async recordQuota() {
+    const timestamp = new Date().toISOString();
+    await this.sendQuota.record(timestamp);
+    if (this.warmUp) {
+      await this.warmUp.record(this.transport.getAccountId(), timestamp);
+    }
+  }
+
+  getMessageContext(messageData) {
+    const business = messageData.business || {};
+    return {
+      leadId: messageData.leadId,
+      businessName: messageData.businessName,
+      // Follow-ups go to leads the ledger already lists as contacted
+      followUp: messageData.followUp || null,
+      // Follow-ups go out with their own template; reviewer edits change the text to send
+      template: messageData.followUp ? messageData.templateUsed : null,
+      edited: messageData.status === MESSAGE_STATUS.EDITED,
+      // Fill template-based transports (e.g. the Cloud API)
+      variables: {
+        businessName: messageData.businessName,
+        personalizedContent: messageData.contentData?.personalizedContent,
+        message: messageData.message
+      },
+      // Scraped placeId is just the URL slug; only the Places API id identifies a place
+      placeId: business.enriched ? business.placeId : null
+    };
+  }
+
+  refuseUnapproved(messageData) {
+    const status = messageData.status || 'pending';
+    console.log(`Refusing to send unapproved message to ${messageData.phoneNumber} (status: ${status})`);
+
+    return {
+      success: false,
+      skipped: true,
+      phoneNumber: messageData.phoneNumber,
+      error: `Message not approved (status: ${status})`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  formatPhoneNumber(phoneNumber) {
+    return normalizePhone(phoneNumber, this.phoneCountry) + '@c.us';
+  }
+
+  // details: leadId, runId, transportMessageId, businessName, error, status (acks)
+  async logMessage(type, phoneNumber, body, details = {}) {
+    const timestamp = new Date().toISOString();
+    this.logEntries++;
+
+    if (type === LOG_TYPE.RECEIVED) {
+      const oneHourAgo = Date.now() - 60 * 60 * 1000;
+      this.receivedTimestamps = this.receivedTimestamps.filter(time => time > oneHourAgo);
+      this.receivedTimestamps.push(Date.now());
+    }
+
+    // A short summary per lead in the lead store (the conversation has the full text)
+    if (this.leadStore && type !== LOG_TYPE.ACK) {
+      this.leadStore.recordLogEntry({
+        timestamp,
+        type,
+        phoneNumber,
+        message: (details.error ? `Error: ${details.error}` : body || '').substring(0, 200)
+      });
+    }
+
+    if (!this.messageLog) return;
+
     try {
-      await fs.writeFile(filename, JSON.stringify(this.messageLog, null, 2));
-      console.log(`Message log saved to ${filename}`);
+      await this.messageLog.append({
+        timestamp,
+        type,
+        channel: CHANNEL.WHATSAPP,
+        transport: this.transport.name,
+        phoneNumber: phoneNumber ? `+${normalizePhone(phoneNumber, this.phoneCountry)}` : null,
+        body,
+        ...Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null))
+      });
     } catch (error) {
-      console.error('Error saving message log:', error);
+      console.error(`Could not write to message log: ${error.message}`);
     }
   }
 
   async getStats() {
     const now = new Date();
-    const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-
-    const sentInLastHour = this.messageLog.filter(
-      log => log.type === 'SENT' && new Date(log.timestamp) > oneHourAgo
-    ).length;
+    // Quota usage comes from the persisted windows, so it includes other processes
+    await this.sendQuota.load();
+    const quota = this.sendQuota.getUsage(now.getTime());
+    const warmUp = this.warmUp && (await this.warmUp.load()).getUsage(this.transport.getAccountId(), now);
 
-    const receivedInLastHour = this.messageLog.filter(
-      log => log.type === 'RECEIVED' && new Date(log.timestamp) > oneHourAgo
-    ).length;
+    const receivedInLastHour = this.receivedTimestamps.filter(time => now.getTime() - time < 60 * 60 * 1000).length;
 
     return {
       totalMessagesSent: this.messagesSent,
-      sentInLastHour,
+      sentInLastHour: quota.sentLastHour,
+      sentInLastDay: quota.sentLastDay,
       receivedInLastHour,
-      remainingHourlyQuota: this.maxMessagesPerHour - sentInLastHour,
+      remainingHourlyQuota: quota.remainingHourly,
+      remainingDailyQuota: quota.remainingDaily,
+      // What can still go out today from this account: the daily window and the warm-up plan
+      remainingTodayQuota: warmUp ? Math.min(quota.remainingDaily, warmUp.remainingToday) : quota.remainingDaily,
+      ...(warmUp && { warmUp }),
+      nextSlotInMs: this.sendQuota.getWaitTime(now.getTime()),
       isReady: this.isReady,
-      logEntries: this.messageLog.length
+      logEntries: this.logEntries,
+      // Delivered / read / replied counts and rates across all recorded sends
+      ...(this.leadStore && { delivery: this.leadStore.getDeliveryStats() })
     };
   }
 
   async close() {
-    if (this.client) {
-      await this.client.destroy();
-      this.client = null;
-      this.isReady = false;
-    }
+    await this.transport.close();
+    this.isReady = false;
   }
 }
 
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBusiness } from '../src/scrapers/mapsScraper.js';
+
+test('only a negation before the service turns an attribute off', () => {
+  const { attributes } = normalizeBusiness({
+    name: 'Pizzería Roma',
+    attributes: ['Entrega a domicilio sin contacto', 'No acepta reservas', 'Para llevar', 'Sin consumo en el local']
+  });
+
+  assert.deepEqual(attributes, { delivery: true, reservations: false, takeout: true, dineIn: false });
+});
+
+test('status stays empty when the page did not say', () => {
+  assert.equal(normalizeBusiness({ name: 'A', status: '' }).status, '');
+  assert.equal(normalizeBusiness({ name: 'A', status: '  ' }).status, '');
+  assert.equal(normalizeBusiness({ name: 'A' }).status, '');
+  assert.equal(normalizeBusiness({ name: 'A', status: 'OPERATIONAL' }).status, 'OPERATIONAL');
+  assert.equal(normalizeBusiness({ name: 'A', status: 'Cerrado temporalmente' }).status, 'CLOSED_TEMPORARILY');
+  assert.equal(normalizeBusiness({ name: 'A', status: 'Permanently closed' }).status, 'CLOSED_PERMANENTLY');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OptOutDetector } from '../src/optOutDetector.js';
+
+const detector = new OptOutDetector();
+
+test('short replies with a single-word keyword opt out', () => {
+  for (const reply of ['Baja', 'BAJA por favor', 'stop', 'Stop!!', 'spam', 'baja, gracias']) {
+    assert.equal(detector.detect(reply).optedOut, true, reply);
+  }
+});
+
+test('single-word keywords inside a longer reply do not opt out', () => {
+  for (const reply of [
+    '¿el precio baja si contrato un año?',
+    'La temporada baja empieza en octubre, hablamos entonces',
+    "I can't stop thinking about the new website",
+    'Me llegan muchos mensajes de spam pero el tuyo me interesa'
+  ]) {
+    assert.equal(detector.detect(reply).optedOut, false, reply);
+  }
+});
+
+test('opt-out phrases match anywhere in a longer reply', () => {
+  assert.deepEqual(detector.detect('Gracias por escribir, pero no me interesa ahora mismo.'),
+    { optedOut: true, language: 'es', keyword: 'no me interesa' });
+  assert.equal(detector.detect('Quiero darme de baja de estos mensajes').optedOut, true);
+  assert.equal(detector.detect('Please remove me from your list, thanks').optedOut, true);
+});
+
+test('regular replies do not opt out', () => {
+  for (const reply of ['Hola, ¿cuánto costaría?', 'Sí, me interesa', 'Llámame mañana']) {
+    assert.equal(detector.detect(reply).optedOut, false, reply);
+  }
+});
+
+test('custom keywords follow the same rules', () => {
+  const custom = new OptOutDetector({ languages: ['es'], keywords: { es: ['fuera', 'no quiero mensajes'] } });
+  assert.equal(custom.detect('Fuera').optedOut, true);
+  assert.equal(custom.detect('Estaremos fuera de la oficina hasta el lunes').optedOut, false);
+  assert.equal(custom.detect('Por favor, no quiero mensajes de nadie').optedOut, true);
+});
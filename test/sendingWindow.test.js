@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWindows, parseTimeRanges } from '../src/sendingWindow.js';
+
+test('windows keep every range, with or without spaces after the commas', () => {
+  const expected = [{ days: [1, 2, 3, 4, 5], ranges: [[600, 780], [990, 1140]] }];
+  assert.deepEqual(parseWindows('mon-fri 10:00-13:00,16:30-19:00'), expected);
+  assert.deepEqual(parseWindows('mon-fri 10:00-13:00, 16:30-19:00'), expected);
+  assert.deepEqual(parseWindows('mon, wed  10:00-13:00 ,16:30-19:00; sat 11:00-13:00'), [
+    { days: [1, 3], ranges: [[600, 780], [990, 1140]] },
+    { days: [6], ranges: [[660, 780]] }
+  ]);
+});
+
+test('"always" and an empty value mean no restriction', () => {
+  assert.deepEqual(parseWindows('always'), []);
+  assert.deepEqual(parseWindows(''), []);
+});
+
+test('ranges that do not parse are rejected', () => {
+  assert.throws(() => parseWindows('mon-fri 10:00-13:00, 16:30'), /Invalid time range/);
+  assert.throws(() => parseWindows('mon-fri 10:00-13:00,'), /Invalid time range/);
+  assert.throws(() => parseWindows('mon-fri'), /Invalid sending window/);
+  assert.throws(() => parseWindows('funday 10:00-13:00'), /Unknown day/);
+  assert.throws(() => parseTimeRanges('10:00-13:00,mediodía'), /Invalid time range/);
+});
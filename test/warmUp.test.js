@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WarmUpSchedule } from '../src/warmUp.js';
+
+const options = { start: 2, increment: 1, cap: 5 };
+
+test('tryAcquire takes sends until the day allowance is used up', async () => {
+  const warmUp = new WarmUpSchedule(null, options);
+  assert.equal((await warmUp.tryAcquire('acc')).acquired, true);
+  assert.equal((await warmUp.tryAcquire('acc')).acquired, true);
+
+  const third = await warmUp.tryAcquire('acc');
+  assert.equal(third.acquired, false);
+  assert.equal(third.usage.remainingToday, 0);
+});
+
+test('releasing a failed first send does not start the ramp-up clock', async () => {
+  const warmUp = new WarmUpSchedule(null, options);
+  const { timestamp } = await warmUp.tryAcquire('acc', '2026-01-01T10:00:00.000Z');
+  await warmUp.release('acc', timestamp);
+
+  assert.equal(warmUp.getUsage('acc').firstSendAt, null);
+  assert.equal(warmUp.getDay('acc', new Date('2026-01-05T10:00:00.000Z')), 1);
+});
+
+test('releasing one of several sends keeps the first send date', async () => {
+  const warmUp = new WarmUpSchedule(null, options);
+  const first = await warmUp.tryAcquire('acc', '2026-01-01T10:00:00.000Z');
+  const second = await warmUp.tryAcquire('acc', '2026-01-01T11:00:00.000Z');
+  await warmUp.release('acc', second.timestamp);
+
+  assert.equal(warmUp.getUsage('acc', new Date(first.timestamp)).firstSendAt, first.timestamp);
+  assert.equal(warmUp.getUsage('acc', new Date(first.timestamp)).sentToday, 1);
+});
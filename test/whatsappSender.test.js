@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WhatsAppSender } from '../src/whatsappSender.js';
+import { FakeTransport } from '../src/transports/fakeTransport.js';
+import { LeadStore } from '../src/leadStore.js';
+import { Outbox, OUTBOX_STATUS } from '../src/outbox.js';
+import { FollowUpScheduler } from '../src/followUpScheduler.js';
+import { MessageLog, LOG_TYPE } from '../src/messageLog.js';
+
+const PHONE = '+34600111222';
+
+async function createSender() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-sender-'));
+  const leadStore = await new LeadStore(path.join(dir, 'leads.json')).load();
+  const outbox = await new Outbox(path.join(dir, 'outbox.json')).load();
+  const messageLog = new MessageLog(path.join(dir, 'messages.jsonl'));
+  const transport = new FakeTransport({ path: path.join(dir, 'fake.json'), autoAck: false, pollInterval: 60000 });
+  const sender = new WhatsAppSender({
+    transport,
+    leadStore,
+    outbox,
+    messageLog,
+    followUpScheduler: new FollowUpScheduler({ leadStore }),
+    messageDelay: 1
+  });
+  await sender.initialize();
+
+  const lead = leadStore.upsertBusiness({ name: 'Pizzería Roma', phone: PHONE });
+  return { dir, sender, transport, leadStore, outbox, messageLog, lead };
+}
+
+// Transport events are handled asynchronously: wait until the handler has done its work
+async function waitFor(condition) {
+  for (let i = 0; i < 100; i++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail('Timed out waiting for the transport event to be handled');
+}
+
+async function cleanUp({ dir, sender }) {
+  await sender.close();
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+function messageFor(lead, id = 'msg_first') {
+  return {
+    id,
+    status: 'approved',
+    leadId: lead.id,
+    businessName: lead.business.name,
+    phoneNumber: PHONE,
+    message: 'Hola, he visto su pizzería en Google Maps'
+  };
+}
+
+function followUpFor(lead) {
+  return {
+    id: 'msg_followup',
+    status: 'approved',
+    leadId: lead.id,
+    businessName: lead.business.name,
+    phoneNumber: PHONE,
+    message: '¿Pudo ver mi mensaje?',
+    followUp: { campaign: 'default', step: 1, days: 3, initialMessageId: 'msg_first' }
+  };
+}
+
+function recordFirstSend(leadStore, lead) {
+  leadStore.recordSend({
+    success: true,
+    phoneNumber: PHONE,
+    transportMessageId: 'fake_first',
+    timestamp: '2026-01-01T10:00:00.000Z',
+    originalData: { id: 'msg_first', leadId: lead.id, message: 'Hola' }
+  });
+}
+
+test('a queued follow-up is cancelled when the lead replied after the first message', async () => {
+  const context = await createSender();
+  const { sender, transport, leadStore, outbox, lead } = context;
+
+  try {
+    recordFirstSend(leadStore, lead);
+    leadStore.recordInbound(PHONE, 'Ahora no, gracias', { timestamp: '2026-01-02T09:00:00.000Z' });
+
+    const result = await sender.deliver(followUpFor(lead));
+
+    assert.equal(result.success, false);
+    assert.equal(result.skipped, true);
+    assert.match(result.error, /replied/);
+    assert.equal(outbox.listPending().length, 0);
+    assert.equal(Object.values(outbox.entries)[0].status, OUTBOX_STATUS.CANCELLED);
+    assert.deepEqual(await transport.listSent(), []);
+  } finally {
+    await cleanUp(context);
+  }
+});
+
+test('a follow-up still goes out while the lead has not replied', async () => {
+  const context = await createSender();
+  const { sender, transport, leadStore, lead } = context;
+
+  try {
+    recordFirstSend(leadStore, lead);
+
+    const result = await sender.deliver(followUpFor(lead));
+
+    assert.equal(result.success, true);
+    assert.equal((await transport.listSent()).length, 1);
+  } finally {
+    await cleanUp(context);
+  }
+});
+
+test('a message goes out once through the transport and is marked sent in the outbox', async () => {
+  const context = await createSender();
+  const { sender, transport, outbox, messageLog, lead } = context;
+
+  try {
+    const message = messageFor(lead);
+    const result = await sender.deliver(message);
+    const again = await sender.deliver(message);
+
+    assert.equal(result.success, true);
+    assert.match(result.transportMessageId, /^fake_/);
+    assert.equal(again.alreadySent, true);
+
+    const sent = await transport.listSent();
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, '34600111222@fake');
+    assert.equal(sent[0].body, message.message);
+    assert.equal(outbox.get('34600111222:msg_first').status, OUTBOX_STATUS.SENT);
+
+    const [logged] = await messageLog.query({ type: LOG_TYPE.SENT });
+    assert.equal(logged.transportMessageId, result.transportMessageId);
+  } finally {
+    await cleanUp(context);
+  }
+});
+
+test('delivery acks update the send and are logged, also when they arrive before the send is recorded', async () => {
+  const context = await createSender();
+  const { sender, transport, leadStore, messageLog, lead } = context;
+
+  try {
+    const message = messageFor(lead);
+    const result = await sender.deliver(message);
+
+    // The read ack is handled before the sender's caller records the send
+    await transport.injectRead(PHONE);
+    await transport.poll();
+    await waitFor(async () => (await messageLog.query({ type: LOG_TYPE.ACK })).length === 1);
+
+    leadStore.recordSend({ ...result, originalData: message });
+    const send = leadStore.getLead(lead.id).sends[0];
+    assert.equal(send.delivery, 'read');
+
+    const [ack] = await messageLog.query({ type: LOG_TYPE.ACK });
+    assert.equal(ack.transportMessageId, result.transportMessageId);
+    assert.equal(ack.status, 'read');
+  } finally {
+    await cleanUp(context);
+  }
+});
+
+test('a reply is stored on the lead and logged', async () => {
+  const context = await createSender();
+  const { sender, transport, leadStore, messageLog, lead } = context;
+
+  try {
+    const message = messageFor(lead);
+    leadStore.recordSend({ ...(await sender.deliver(message)), originalData: message });
+
+    await transport.injectReply(PHONE, 'Sí, me interesa');
+    await transport.poll();
+    await waitFor(async () => (await messageLog.query({ type: LOG_TYPE.RECEIVED })).length === 1);
+
+    const stored = leadStore.getLead(lead.id);
+    assert.equal(stored.status, 'replied');
+    assert.deepEqual(leadStore.getUnreadReplies(stored).map(entry => entry.body), ['Sí, me interesa']);
+
+    const [received] = await messageLog.query({ type: LOG_TYPE.RECEIVED });
+    assert.equal(received.leadId, lead.id);
+    assert.equal(received.body, 'Sí, me interesa');
+  } finally {
+    await cleanUp(context);
+  }
+});
+
+test('an interrupted send is resent only if the chat shows it never went out', async () => {
+  const context = await createSender();
+  const { sender, transport, outbox, lead } = context;
+
+  try {
+    // A previous process died after marking both as sending; only the first reached the chat
+    const delivered = messageFor(lead, 'msg_delivered');
+    const lost = { ...messageFor(lead, 'msg_lost'), message: 'Un mensaje que no llegó a salir' };
+    for (const message of [delivered, lost]) {
+      outbox.markSending(outbox.enqueue(message).key);
+    }
+    await outbox.save();
+    await transport.send('34600111222@fake', delivered.message);
+
+    const reconciled = await sender.deliver(delivered);
+    const resent = await sender.deliver(lost);
+
+    assert.equal(reconciled.alreadySent, true);
+    assert.equal(outbox.get('34600111222:msg_delivered').reconciled, true);
+    assert.equal(resent.success, true);
+    assert.equal(outbox.get('34600111222:msg_lost').status, OUTBOX_STATUS.SENT);
+    assert.deepEqual((await transport.listSent()).map(message => message.body), [delivered.message, lost.message]);
+  } finally {
+    await cleanUp(context);
+  }
+});